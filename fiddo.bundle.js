@@ -26,24 +26,47 @@
  *   - Promise-based validation lifecycle
  *   - Lifecycle event hooks (`form:validated`, `field:error`, etc.)
  *
+ * Headless mode:
+ *   Without jQuery (e.g. under Node, `require('./fiddo.bundle.js')`), only the DOM-free
+ *   core is available: `validateData(schema, values)`, validators, messages and locales.
+ *
  * Limitations:
- *   - Requires jQuery
+ *   - Form binding requires jQuery
  *   - Assumes flat form structure (no nested object schemas)
  *   - Depends on properly named data attributes (e.g. `data-parsley-required="true"`)
  */
 
-(function ($) {
+(function (root, factory) {
+  // The global jQuery, or the free variable a bundler injects (e.g. webpack's ProvidePlugin)
+  let $ = typeof jQuery === 'function' ? jQuery : root.jQuery;
+
+  if (typeof module === 'object' && module.exports) {
+    // CommonJS (bundlers, Node): else the `jquery` module if installed; without it, the headless core loads
+    if (!$) {
+      try {
+        const required = require('jquery');
+        if (required && required.fn && required.fn.jquery) $ = required; // not the window-less factory of Node
+      } catch (e) { /* not installed: headless */ }
+    }
+    module.exports = factory(root, $);
+  } else {
+    factory(root, $);
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function (root, $) {
 
   'use strict';
 
-  const pluginName = window.FiddoPluginName || 'Fiddo';
+  const pluginName = root.FiddoPluginName || 'Fiddo';
   const namespace = pluginName.toLowerCase();
 
   const globalIds = {}
 
   const customValidators = {};
 
-  const globalConfig = window[`${pluginName}Config`] || {};
+  // Bound Form instances, so a locale switch can re-render their messages (detached forms are pruned then)
+  const formInstances = new Set();
+
+  const globalConfig = root[`${pluginName}Config`] || {};
 
   /**
    * Adds a custom jQuery pseudo-selector `:attrStartsWith`
@@ -59,14 +82,15 @@
    *   $('input:attrStartsWith(data-fiddo-)') → matches input elements with any `data-fiddo-*` attribute.
    */
 
-  // Single consolidated guard: if any prerequisite is missing, throw one error.
-  if (!($ && $.fn && $.fn.jquery && $.expr &&
+  // Single consolidated guard: if jQuery is there but a prerequisite is missing, throw one error.
+  // Without jQuery at all, only the headless core is exposed.
+  if ($ && !($.fn && $.fn.jquery && $.expr &&
       typeof $.expr.createPseudo === 'function' &&
       ($.expr.pseudos || $.expr[':']))) {
     throw new Error('attrStartsWith: requires jQuery with Sizzle selector engine and $.expr.createPseudo support.');
   }
 
-  if (typeof $.expr.createPseudo === 'function') {
+  if ($ && typeof $.expr.createPseudo === 'function') {
     // Choose the correct pseudos bucket across jQuery versions
     const pseudos = $.expr.pseudos || $.expr[':']; // 1.9+ uses .pseudos
     pseudos.attrStartsWith = $.expr.createPseudo(function (arg) {
@@ -87,6 +111,22 @@
     });
   }
 
+  // Date format tokens, longest first (see Utils.parseDateWithFormat)
+  const dateTokenRegex = /YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|m|ss|s|A|a/g;
+  const dateTokenPatterns = {
+    YYYY: '(\\d{4})', YY: '(\\d{2})',
+    MMMM: '([\\p{L}\\p{M}]+\\.?)', MMM: '([\\p{L}\\p{M}]+\\.?)', MM: '(\\d{2})', M: '(\\d{1,2})',
+    DD: '(\\d{2})', D: '(\\d{1,2})',
+    HH: '(\\d{2})', H: '(\\d{1,2})', hh: '(\\d{2})', h: '(\\d{1,2})',
+    mm: '(\\d{2})', m: '(\\d{1,2})', ss: '(\\d{2})', s: '(\\d{1,2})',
+    A: '([ap]m)', a: '([ap]m)'
+  };
+  const englishMonths = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const monthNamesCache = {};
+
+  // Deprecated APIs already warned about (once per page)
+  const deprecationsWarned = new Set();
+
   const Utils = {
 
     isThenable : r => r && (typeof r.then === 'function' || typeof r.promise === 'function'),
@@ -192,12 +232,21 @@
     /**
      * Formats a string with %s placeholders, using parameters (string or object).
      *
-     * @param {string} string - The template message.
+     * The template may also be a plural map keyed by `Intl.PluralRules` categories
+     * (e.g. `{ one: "%s choice", other: "%s choices" }`); the form is picked from
+     * the last numeric parameter.
+     *
+     * @param {string|object} string - The template message (or plural map).
      * @param {string|object} parameters - Value(s) to replace %s with.
+     * @param {string} [locale] - Locale used to select the plural form.
      * @returns {string} The formatted message.
      */
-    formatMessage(string, parameters) {
+    formatMessage(string, parameters, locale) {
       if (!string) return;
+      if (this.isPluralMessage(string)) {
+        const count = this.toArray(parameters).filter(p => p !== '' && !isNaN(+p)).pop();
+        string = string[this.pluralCategory(count, locale)] || string.other;
+      }
       if (typeof parameters === 'object') {
         for (let i in parameters) {
           string = this.formatMessage(string, parameters[i]);
@@ -207,6 +256,30 @@
       return typeof string === 'string' ? string.replace(/%s/i, parameters) : '';
     },
 
+    /**
+     * Returns true if the message is a plural map (an object with at least an `other` form).
+     */
+    isPluralMessage(message) {
+      return !!message && typeof message === 'object' && typeof message.other === 'string';
+    },
+
+    /**
+     * Returns the plural category ('one', 'few', 'other', ...) of a count in a locale.
+     * Falls back to a simple one/other rule when `Intl.PluralRules` is unavailable.
+     */
+    pluralCategory(count, locale) {
+      const n = Math.abs(+count);
+      if (isNaN(n)) return 'other';
+      try {
+        if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+          return new Intl.PluralRules(locale || undefined).select(n);
+        }
+      } catch (e) {
+        // Unknown locale tag → use the fallback rule below
+      }
+      return n === 1 ? 'one' : 'other';
+    },
+
     /**
      * Fetches a namespaced attribute from an element.
      *
@@ -261,6 +334,14 @@
           a.every((v, i) => v === b[i]);
     },
 
+    /**
+     * Sorts (in place) objects having an `element` in DOM order.
+     */
+    sortByDocumentPosition(items) {
+      return items.sort((a, b) => a.element === b.element ? 0
+          : a.element.compareDocumentPosition(b.element) & 4 /* DOCUMENT_POSITION_FOLLOWING */ ? -1 : 1);
+    },
+
     areEquals(a, b) {
       // Both arrays → use your arraysEqual
       return (Array.isArray(a) && Array.isArray(b)) ? this.arraysEqual(a, b) :  a === b;
@@ -276,8 +357,8 @@
      */
     debounceCall(context, key, delay, callback) {
       if (delay) {
-        window.clearTimeout(context[key]);
-        context[key] = window.setTimeout(callback, delay);
+        clearTimeout(context[key]);
+        context[key] = setTimeout(callback, delay);
       } else {
         callback();
       }
@@ -305,16 +386,77 @@
 
     /**
      * Parses a numeric requirement, or gets the value from a selector.
-     * Used in gt/gte/lt/lte/notequalto.
      *
+     * @deprecated The built-in validators compare with `Utils.compareValues`; kept for custom validators.
      * @param {string|number} requirement - A number or a CSS selector.
+     * @param {Field|DataField} [field] - Field resolving the selector (DOM or headless data).
      */
-    parseFloatRequirement(requirement) {
+    parseFloatRequirement(requirement, field) {
+      if (!deprecationsWarned.has('parseFloatRequirement')) {
+        deprecationsWarned.add('parseFloatRequirement');
+        this.warn('Utils.parseFloatRequirement() is deprecated, use Utils.compareValues() or field.resolveReference().');
+      }
       if (isNaN(+requirement))
-        return parseFloat($(requirement).val());
+        return parseFloat(field ? field.resolveReference(requirement) : $(requirement).val());
       return +requirement;
     },
 
+    /**
+     * Returns true for a FormData instance (false where FormData does not exist).
+     */
+    isFormData(data) {
+      return typeof FormData === 'function' && data instanceof FormData;
+    },
+
+    /**
+     * Returns true for finite numbers and non-blank strings holding one.
+     */
+    isNumeric(value) {
+      if (typeof value === 'number') return isFinite(value);
+      return typeof value === 'string' && value.trim() !== '' && isFinite(+value);
+    },
+
+    /**
+     * Compares two values by kind: 'number' numerically, 'date' chronologically
+     * (parsed with `format`), anything else as plain strings.
+     *
+     * @returns {number} <0, 0 or >0 like a sort comparator; NaN if the values
+     *                   cannot be compared (unparsable, or an empty string side).
+     */
+    compareValues(a, b, kind, format) {
+      a = (a === null || a === undefined) ? '' : String(a);
+      b = (b === null || b === undefined) ? '' : String(b);
+
+      if (kind === 'date') {
+        const dateA = this.parseDateWithFormat(a.trim(), format);
+        const dateB = this.parseDateWithFormat(b.trim(), format);
+        return dateA && dateB ? dateA.getTime() - dateB.getTime() : NaN;
+      }
+
+      if (kind === 'number') {
+        return this.isNumeric(a) && this.isNumeric(b) ? parseFloat(a) - parseFloat(b) : NaN;
+      }
+
+      if (a === b) return 0;
+      if (!a.length || !b.length) return NaN;
+      return a < b ? -1 : 1;
+    },
+
+    /**
+     * Encodes a (possibly nested) object as a URL query string, with the same
+     * bracket notation as `$.param` (e.g. `{a:{b:1},c:[2]}` → `a[b]=1&c[]=2`).
+     */
+    toQueryString(data, prefix) {
+      if (data === null || typeof data !== 'object') return '';
+      return Object.keys(data).map(key => {
+        const value = data[key];
+        const name = prefix ? `${prefix}[${Array.isArray(data) ? '' : key}]` : key;
+        return value !== null && typeof value === 'object'
+            ? this.toQueryString(value, name)
+            : `${encodeURIComponent(name)}=${encodeURIComponent(value ?? '')}`;
+      }).filter(Boolean).join('&');
+    },
+
     /**
      * Serializes a value (or array) to a string representation for storage/comparison.
      */
@@ -478,78 +620,215 @@
       return str && typeof str === 'string' && /^(?:\d{1,2}([\/\-.])\d{1,2}\1\d{4}|\d{4}([\/\-.])\d{1,2}\2\d{1,2})$/.test(str);
     },
 
-    parseDateWithFormat(value, format) {
-      if (typeof value !== 'string') return null;
+    /**
+     * Parses a date (and/or time) written in `format`, in local time.
+     *
+     * Tokens: YYYY, YY, MMMM (month name), MMM (short month name), MM, M, DD, D,
+     * HH, H (24h), hh, h (12h, with A/a for AM/PM), mm, m, ss, s; anything else is
+     * literal. Month names are read in `locale` (English is always understood).
+     * Without a format, `MM/DD/YYYY` is used and ISO values (`YYYY-MM-DD[THH:mm[:ss]]`)
+     * are accepted, like they are for `YYYY-MM-DD...` and time-only formats, so
+     * native `date`, `datetime-local` and `time` values (with or without seconds) parse.
+     * Time-only formats give a date on 1970-01-01.
+     *
+     * @returns {Date|null}
+     */
+    parseDateWithFormat(value, format, locale) {
+      if (typeof value !== 'string' || !value.trim()) return null;
+      value = value.trim();
 
       // Use default American format if no format is provided
-      if (typeof format !== 'string' || !format.trim()) {
-        format = 'MM/DD/YYYY';
+      const defaulted = typeof format !== 'string' || !format.trim();
+      if (defaulted) format = 'MM/DD/YYYY';
+
+      const tokens = [];
+      const source = format.trim().replace(new RegExp(`${dateTokenRegex.source}|\\s+|.`, 'g'), piece => {
+        if (dateTokenPatterns[piece]) {
+          tokens.push(piece);
+          return dateTokenPatterns[piece];
+        }
+        return /^\s+$/.test(piece) ? '\\s+' : piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      });
+
+      const match = new RegExp(`^${source}$`, 'iu').exec(value);
+      if (!match) {
+        const isoFormat = defaulted || /^YYYY-MM-DD/.test(format) ? 'YYYY-MM-DD' : !this.hasDateTokens(format) ? '' : null;
+        const iso = isoFormat !== null && (isoFormat ? /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/ : /^()()()(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/).exec(value);
+        return iso ? this._buildDate({
+          year: iso[1] ? +iso[1] : 1970, month: iso[2] ? +iso[2] : 1, day: iso[3] ? +iso[3] : 1,
+          hour: +(iso[4] || 0), minute: +(iso[5] || 0), second: +(iso[6] || 0)
+        }) : null;
       }
 
-      if (format.length !== value.length) return null;
+      const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+      let meridiem = null;
 
-      const separatorMatch = format.match(/[^A-Za-z]/);
-      if (!separatorMatch) return null;
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const part = match[i + 1];
 
-      const separator = separatorMatch[0];
+        switch (token) {
+          case 'MMMM':
+          case 'MMM': {
+            const monthIndex = this.getMonthIndex(part, locale);
+            if (monthIndex === -1) return null;
+            parts.month = monthIndex + 1;
+            break;
+          }
+          case 'YY':   parts.year = 2000 + parseInt(part, 10); break;
+          case 'YYYY': parts.year = parseInt(part, 10); break;
+          case 'MM': case 'M': parts.month = parseInt(part, 10); break;
+          case 'DD': case 'D': parts.day = parseInt(part, 10); break;
+          case 'HH': case 'H': case 'hh': case 'h': parts.hour = parseInt(part, 10); break;
+          case 'mm': case 'm': parts.minute = parseInt(part, 10); break;
+          case 'ss': case 's': parts.second = parseInt(part, 10); break;
+          case 'A': case 'a': meridiem = part.toLowerCase(); break;
+        }
+      }
 
-      const formatParts = format.split(separator);
-      const valueParts = value.split(separator);
+      if (meridiem || tokens.some(token => /^h/.test(token))) {
+        if (parts.hour < 1 || parts.hour > 12) return null;
+        parts.hour = parts.hour % 12 + (meridiem === 'pm' ? 12 : 0);
+      }
 
-      if (formatParts.length !== valueParts.length) return null;
+      return this._buildDate(parts);
+    },
 
-      const dateParts = {
-        day: null,
-        month: null,
-        year: null,
-      };
+    // Local Date from its parts, or null if one of them is out of range (e.g. February 30)
+    _buildDate({ year, month, day, hour, minute, second }) {
+      if (hour > 23 || minute > 59 || second > 59) return null;
 
-      const tokenMap = {
-        'D':    'day',
-        'DD':   'day',
-        'M':    'month',
-        'MM':   'month',
-        'YY':   'year',
-        'YYYY': 'year',
-      };
+      const date = new Date(0);
+      date.setFullYear(year, month - 1, day);
+      date.setHours(hour, minute, second, 0);
 
-      for (let i = 0; i < formatParts.length; i++) {
-        const token = formatParts[i];
-        const part = valueParts[i];
+      return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    },
 
-        if (token === 'MMMM') {
-          const monthIndex = getMonthIndex(part);
-          if (monthIndex === -1) return null;
-          dateParts.month = monthIndex + 1;
-          continue;
-        }
+    /**
+     * Writes a date with the tokens of `parseDateWithFormat` (month names in `locale`).
+     */
+    formatDate(date, format, locale) {
+      if (!(date instanceof Date) || isNaN(date)) return '';
+      if (typeof format !== 'string' || !format.trim()) format = 'MM/DD/YYYY';
+
+      const pad = n => String(n).padStart(2, '0');
+      const hour12 = date.getHours() % 12 || 12;
+      const values = {
+        YYYY: String(date.getFullYear()).padStart(4, '0'),
+        YY: pad(date.getFullYear() % 100),
+        MMMM: this.monthNames(locale, 'long')[date.getMonth()],
+        MMM: this.monthNames(locale, 'short')[date.getMonth()],
+        MM: pad(date.getMonth() + 1), M: date.getMonth() + 1,
+        DD: pad(date.getDate()), D: date.getDate(),
+        HH: pad(date.getHours()), H: date.getHours(),
+        hh: pad(hour12), h: hour12,
+        mm: pad(date.getMinutes()), m: date.getMinutes(),
+        ss: pad(date.getSeconds()), s: date.getSeconds(),
+        A: date.getHours() < 12 ? 'AM' : 'PM',
+        a: date.getHours() < 12 ? 'am' : 'pm'
+      };
+      return format.replace(dateTokenRegex, token => values[token]);
+    },
 
-        const key = tokenMap[token];
-        if (!key) return null;
+    hasDateTokens(format) {
+      return /Y|M|D/.test(format || 'MM/DD/YYYY');
+    },
 
-        let parsed = parseInt(part, 10);
+    hasTimeTokens(format) {
+      return /H|h|m|s/.test(format || '');
+    },
 
-        if (token === 'YY') {
-          parsed = 2000 + parsed;
-        }
+    /**
+     * Month names of a locale (`long` or `short`), from `Intl.DateTimeFormat`;
+     * English when Intl is unavailable.
+     */
+    monthNames(locale, style = 'long') {
+      const key = `${locale || ''}|${style}`;
+      if (monthNamesCache[key]) return monthNamesCache[key];
 
-        dateParts[key] = parsed;
+      let names = style === 'short' ? englishMonths.map(name => name.slice(0, 3)) : englishMonths;
+      if (typeof Intl !== 'undefined' && Intl.DateTimeFormat) {
+        try {
+          const formatter = new Intl.DateTimeFormat(locale || undefined, { month: style, timeZone: 'UTC' });
+          names = names.map((name, i) => formatter.format(new Date(Date.UTC(2000, i, 1))));
+        } catch (e) { /* unknown locale: keep English */ }
       }
+      return monthNamesCache[key] = names;
+    },
 
-      const { day, month, year } = dateParts;
+    /**
+     * Index (0-11) of a month name, full or abbreviated, in `locale` or in English;
+     * case, accents and a trailing dot are ignored. -1 if unknown.
+     */
+    getMonthIndex(name, locale) {
+      const normalize = text => String(text).normalize('NFD').replace(/[\u0300-\u036f.]/g, '').trim().toLowerCase();
+      const wanted = normalize(name);
+      if (!wanted) return -1;
+
+      for (const lang of [locale, 'en']) {
+        for (const style of ['long', 'short']) {
+          const index = this.monthNames(lang, style).findIndex(month => normalize(month) === wanted);
+          if (index !== -1) return index;
+        }
+        // Genitive forms used inside dates (e.g. "января" in Russian)
+        const genitive = this._genitiveMonthNames(lang).findIndex(month => normalize(month) === wanted);
+        if (genitive !== -1) return genitive;
+      }
+      return -1;
+    },
 
-      if (!day || !month || !year) return null;
+    _genitiveMonthNames(locale) {
+      const key = `${locale || ''}|genitive`;
+      if (monthNamesCache[key]) return monthNamesCache[key];
 
-      const date = new Date(year, month - 1, day);
-      if (
-          date.getFullYear() === year &&
-          date.getMonth() === month - 1 &&
-          date.getDate() === day
-      ) {
-        return date;
+      let names = [];
+      if (typeof Intl !== 'undefined' && Intl.DateTimeFormat?.prototype.formatToParts) {
+        try {
+          const formatter = new Intl.DateTimeFormat(locale || undefined, { day: 'numeric', month: 'long', timeZone: 'UTC' });
+          names = englishMonths.map((name, i) =>
+              formatter.formatToParts(new Date(Date.UTC(2000, i, 1))).find(part => part.type === 'month')?.value || '');
+        } catch (e) { /* unknown locale */ }
       }
+      return monthNamesCache[key] = names;
+    },
 
-      return null;
+    /**
+     * Resolves a relative date expression: `today`, `now`, and/or offsets in
+     * years, months, weeks, days or hours (`today+30d`, `-18y`, `now+2h`).
+     * Without `now` (or an hour offset) the result is at midnight.
+     *
+     * @returns {Date|null} null if `expression` is not relative.
+     */
+    parseRelativeDate(expression, now = new Date()) {
+      const match = /^\s*(today|now)?\s*((?:[+-]\s*\d+\s*[ymwdh]\s*)*)$/i.exec(String(expression ?? ''));
+      if (!match || (!match[1] && !match[2].trim())) return null;
+
+      const offsets = match[2].replace(/\s+/g, '').match(/[+-]\d+[ymwdh]/gi) || [];
+      const keepTime = /^now$/i.test(match[1] || '') || offsets.some(offset => /h$/i.test(offset));
+
+      const date = new Date(now.getTime());
+      if (!keepTime) date.setHours(0, 0, 0, 0);
+
+      // Month arithmetic stays in the target month: Jan 31 + 1m → Feb 28/29, Feb 29 - 1y → Feb 28
+      const addMonths = months => {
+        const day = date.getDate();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + months);
+        date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+      };
+
+      for (const offset of offsets) {
+        const amount = parseInt(offset.slice(0, -1), 10);
+        switch (offset.slice(-1).toLowerCase()) {
+          case 'y': addMonths(12 * amount); break;
+          case 'm': addMonths(amount); break;
+          case 'w': date.setDate(date.getDate() + 7 * amount); break;
+          case 'd': date.setDate(date.getDate() + amount); break;
+          case 'h': date.setHours(date.getHours() + amount); break;
+        }
+      }
+      return date;
     },
 
     /*
@@ -643,8 +922,14 @@
     minlength: "This value is too short. It should have %s characters or more.",
     maxlength: "This value is too long. It should have %s characters or fewer.",
     length: "This value length is invalid. It should be between %s and %s characters long.",
-    mincheck: "You must select at least %s choices.",
-    maxcheck: "You must select %s choices or fewer.",
+    mincheck: {
+      one: "You must select at least %s choice.",
+      other: "You must select at least %s choices."
+    },
+    maxcheck: {
+      one: "You must select %s choice or fewer.",
+      other: "You must select %s choices or fewer."
+    },
     check: "You must select between %s and %s choices.",
     equalto: "This value should be the same.",
     notequalto: "This value should be different.",
@@ -653,6 +938,20 @@
     lt: "This value should be less than %s.",
     lte: "This value should be less than or equal to %s.",
     euvatin: "It's not a valid VAT Identification Number.",
+    iban: "This value should be a valid IBAN.",
+    creditcard: "This value should be a valid card number.",
+    passwordstrength: "This password is too weak.",
+    maxfilesize: "The file should not be larger than %s.",
+    minfilesize: "The file should not be smaller than %s.",
+    accept: "This file type is not allowed.",
+    mimetype: "This file type is not allowed.",
+    maxfiles: {
+      one: "You can upload %s file at most.",
+      other: "You can upload %s files at most."
+    },
+    mindimensions: "The image should be at least %s pixels.",
+    maxdimensions: "The image should be at most %s pixels.",
+    'remote-timeout': "The verification took too long, please try again.",
 
     // extras validators (English)
     money:      "Please enter a valid amount greater than zero",
@@ -660,11 +959,25 @@
     datemin:    "The date cannot be earlier than %s",
     datemax:    "The date cannot be later than %s",
     datepast:   "The date cannot be in the future",
-    datefuture: "The date cannot be in the past"
+    datefuture: "The date cannot be in the past",
+    daterange:  "The date should be between %s and %s",
+    timemin:    "The time cannot be earlier than %s",
+    timemax:    "The time cannot be later than %s"
   };
 
+  // Locale catalogs: { [locale]: messages }. The default locale holds the built-in
+  // English messages merged with `globalConfig.Messages`, and is the fallback for
+  // any key missing from another catalog.
+  const defaultLocale = globalConfig.locale || 'en';
+  let currentLocale = defaultLocale;
+
   const Messages = Utils._extends(true,MessagesDefaults,globalConfig.Messages);
 
+  const locales = { [defaultLocale]: Messages };
+  for (const [locale, messages] of Object.entries(globalConfig.locales || {})) {
+    locales[locale] = Utils._extends(true, locales[locale] || {}, messages);
+  }
+
   const Defaults = {
     namespace: `data-${namespace}-`,
     inputs: 'input, textarea, select',
@@ -676,6 +989,14 @@
     triggerAfterFailure: 'input',
     errorClass: `${namespace}-error`,
     successClass: `${namespace}-success`,
+    pendingClass: `${namespace}-pending`,
+    stepActiveClass: `${namespace}-step-active`,
+    steps: false,
+    observe: false,
+    allowUnsafeConditions: false,
+    ajaxSubmit: false,
+    ajaxTransport: null,
+    serverErrorAdapter: ['errors', 'jsonapi', 'list', 'problem'],
     stopAtFirstError: true,
     showMultipleErrors : false,
 
@@ -714,21 +1035,54 @@
   }
 
   class Validator {
-    constructor({ name, validateFn, message, group, priority = 0 }) {
+    constructor({ name, validateFn, message, messages, group, priority = 0 }) {
       this.name = name;
       if (typeof validateFn === 'function') this.validateFn = validateFn; // don't clobber subclass method
-      this.message = message || Messages[name] || 'Validation failed';
+      this.message = message;           // Explicit message from the spec (any locale)
+      this.messages = messages || {};   // Per-locale messages from the spec: { en: '...', fr: '...' }
       this.group = group;
       this.priority = priority;
     }
 
-    _reject(reason, requirements) {
-      const message = Utils.formatMessage(reason?.message || reason || this.message, requirements);
-      return Promise.reject(ValidationError.from(this.name,message));
+    /**
+     * Resolves the raw (unformatted) message of this validator for a locale.
+     *
+     * Order: per-locale spec `messages`, the locale's own catalog (non-default
+     * locales only), the spec `message`, then the catalogs with default fallback.
+     *
+     * @param {string} locale - Active locale of the field being validated.
+     * @param {*} requirements - Used as sub-key for grouped messages (e.g. `type.email`).
+     */
+    getMessage(locale, requirements) {
+      locale = resolveLocale(locale) || currentLocale;
+      if (this.messages[locale]) return this.messages[locale];
+      if (locale !== defaultLocale && Object.prototype.hasOwnProperty.call(locales[locale], this.name)) {
+        const localized = lookupMessage(this.name, requirements, locale);
+        if (localized) return localized;
+      }
+      return this.message || lookupMessage(this.name, requirements, locale) || 'Validation failed';
+    }
+
+    /**
+     * Parameters of the `%s` placeholders: the requirements, unless the validator
+     * renders them (e.g. date bounds printed in the field's format).
+     */
+    getMessageParameters(requirements, field) {
+      return typeof this.messageParameters === 'function' ? this.messageParameters(requirements, field) : requirements;
+    }
+
+    _reject(reason, requirements, message, locale) {
+      const raw = reason?.message || reason || message;
+      const error = ValidationError.from(this.name, Utils.formatMessage(raw, requirements, locale));
+      // Only messages coming from the catalogs can be re-rendered when the locale changes
+      error.localizable = raw === message;
+      return Promise.reject(error);
     }
 
-    validate(value, requirements, field) {
+    validate(value, requirements, field, message) {
       const fn = this.validateFn;
+      const locale = field?.getLocale?.();
+      if (message === undefined) message = this.getMessage(locale, requirements);
 
       if (typeof fn !== 'function') {
         throw new Error(`${pluginName} Validator:${this.name} : no validate function defined`);
@@ -747,11 +1101,11 @@
         if (Utils.isThenable(fnResult)) {
           // Normalize any thenable (jqXHR/Deferred/native Promise)
           return Promise.resolve(fnResult).catch(reason =>
-              this._reject(reason, requirements));
+              this._reject(reason, this.getMessageParameters(requirements, field), message, locale));
         }
 
         // Sync validators: truthy = pass, falsy = fail
-        return fnResult ? Promise.resolve() : this._reject(field.customErrorMessage || this.message, requirements);
+        return fnResult ? Promise.resolve() : this._reject(field.customErrorMessage, this.getMessageParameters(requirements, field), message, locale);
 
       } catch (err) {
         console.error(`${pluginName} Error in validator "${this.name}":`, err);
@@ -771,15 +1125,13 @@
 
       const validatorDef = standardValidators[name];
 
-      // Use optional chaining and fallback to default message
-      const message = getErrorMessage(name, undefined, requirements);
-
+      // No explicit message: it is resolved from the field's locale catalog at validation time
       const priority =
           (typeof validatorDef === 'object' && typeof validatorDef.priority === 'number')
               ? validatorDef.priority
               : 0;
 
-      super({ name, message, priority });
+      super({ name, priority });
 
       if (typeof validatorDef === "object") {
         const requirementType = Utils.deserialize(validatorDef.requirementType);
@@ -790,6 +1142,14 @@
           }
 
         }
+        // Requirements a type cannot describe (level, list of known names): the problem or null
+        if (typeof validatorDef.checkRequirement === "function") {
+          const problem = validatorDef.checkRequirement(requirements);
+          if (problem) throw new Error(`[${pluginName}] StandardValidator "${name}": ${problem}`);
+        }
+        if (typeof validatorDef.messageParameters === "function") {
+          this.messageParameters = validatorDef.messageParameters;
+        }
         if (typeof validatorDef.validate === "function") {
           this.validateFn = validatorDef.validate;
         } else
@@ -829,12 +1189,86 @@
 
   }
 
+  /**
+   * Remote transports: `transport(request)` receives `{ url, method, data, signal }`
+   * (`data` being an object, an already encoded query string, or a FormData sent as a multipart body)
+   * and returns a Promise resolving `{ data, textStatus, xhr }` (any 2xx response),
+   * or rejecting with an Error (network/HTTP failure, or abort through `signal`).
+   */
+  const remoteTransports = {
+
+    jquery({ url, method, data, signal }) {
+      return new Promise((resolve, reject) => {
+        // FormData goes as is: jQuery must neither encode it nor set the multipart boundary itself
+        const jqXHR = $.ajax(Utils.isFormData(data)
+            ? { url, method, data, processData: false, contentType: false }
+            : { url, method, data });
+        signal && signal.addEventListener('abort', () => jqXHR.abort());
+        jqXHR
+            .done((data, textStatus, xhr) => resolve({ data, textStatus, xhr }))
+            .fail((xhr, textStatus, errorThrown) =>
+                reject(Object.assign(new Error(errorThrown || textStatus || 'Remote validation failed'), { xhr, data: xhr?.responseJSON })));
+      });
+    },
+
+    fetch({ url, method = 'GET', data, signal }) {
+      const isGet = /^(GET|HEAD)$/i.test(method);
+      const isFormData = Utils.isFormData(data);
+      const query = isFormData
+          ? (isGet ? new URLSearchParams([...data].filter(([, value]) => typeof value === 'string')).toString() : '')
+          : typeof data === 'string' ? data : Utils.toQueryString(data);
+      const target = isGet && query ? url + (url.includes('?') ? '&' : '?') + query : url;
+
+      // A FormData body gets its multipart Content-Type (with the boundary) from fetch itself
+      return fetch(target, {
+        method,
+        signal,
+        credentials: 'same-origin',
+        headers: isGet || isFormData
+            ? { 'X-Requested-With': 'XMLHttpRequest' }
+            : { 'X-Requested-With': 'XMLHttpRequest', 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
+        body: isGet ? undefined : isFormData ? data : query
+      }).then(response => response.text().then(text => {
+        // Same "intelligent guess" as jQuery: parse JSON when the server says so
+        let data = text;
+        if (/json/i.test(response.headers.get('content-type') || '')) {
+          try { data = JSON.parse(text); } catch (e) { /* keep raw text */ }
+        }
+        if (!response.ok) {
+          throw Object.assign(new Error(response.statusText || `HTTP ${response.status}`), { xhr: response, data });
+        }
+        return { data, textStatus: 'success', xhr: response };
+      }));
+    }
+  };
+
+  /**
+   * Returns the transport function for a name, a function, or the default one
+   * (`jquery` when `$.ajax` exists, `fetch` otherwise).
+   */
+  function resolveTransport(transport, owner) {
+    transport = transport || (typeof $ === 'function' && $.ajax ? 'jquery' : 'fetch');
+    if (typeof transport === 'function') return transport;
+    if (typeof remoteTransports[transport] !== 'function') {
+      throw new Error(`[${pluginName}] ${owner}: unknown transport "${transport}"`);
+    }
+    return remoteTransports[transport];
+  }
+
   class RemoteValidator extends Validator {
-    constructor({name, message, group, url, method, dataKey, isValidFn = null, priority=10, preValidateFn=null, successMessageFn = null, errorMessageFn = null}) {
-      super({name, message, group, priority});
+    constructor({name, message, messages, group, url, method, dataKey, isValidFn = null, priority=10, preValidateFn=null, successMessageFn = null, errorMessageFn = null,
+                  transport, timeout, timeoutMessage, debounce, cache}) {
+      super({name, message, messages, group, priority});
       this.url = url;                 // may be undefined; then we'll use "requirements" as URL
       this.method = method || globalConfig.defaultAjaxMethod;
       this.dataKey = (dataKey=='*' ? this.name : dataKey) || 'value';
+      this.transport = transport || globalConfig.remoteTransport;       // name in remoteTransports or function
+      this.timeout = timeout ?? globalConfig.remoteTimeout ?? 0;         // ms, 0 = no timeout
+      this.timeoutMessage = timeoutMessage;
+      this.debounce = debounce ?? globalConfig.remoteDebounce ?? 0;      // ms, independent of the form `debounce`
+      // cache: true (no expiry), a TTL in ms, or { ttl }
+      this.cacheTTL = cache === true ? Infinity : (cache && typeof cache === 'object' ? (cache.ttl || Infinity) : (+cache || 0));
+      this._cache = new Map();
       // bind both so "this" is always the RemoteValidator (bound functions ignore .apply/.call)
       this.validateFn = this.validateFn.bind(this);
       this.isValidFn = (isValidFn || this.defaultIsValidFn).bind(this);
@@ -848,10 +1282,21 @@
       return xhr?.status >= 200 && xhr?.status < 300;
     }
 
+    _getTransport() {
+      return resolveTransport(this.transport, `RemoteValidator "${this.name}"`);
+    }
+
+    clearCache() {
+      this._cache.clear();
+    }
+
     validateFn(values, requirements, field) {
 
-      if (this.preValidateFn && this.preValidateFn(values)==false)
-        Promise.resolve(true);
+      // preValidateFn returning false skips the remote check (treated as a pass)
+      if (this.preValidateFn && this.preValidateFn(values, field) === false) {
+        this._supersede(field, Promise.resolve());
+        return true;
+      }
 
       // NEW: resolve URL from spec.url OR from the "requirement" (attribute value)
       const resolvedUrl =
@@ -868,8 +1313,6 @@
       // data-fiddo-coupon='{"url":"/fxbase/coupon/validate","extra":{"clientId":123}}'
       const extra = (requirements && requirements.extra) || {};
 
-      field.$element.addClass('ajax-loading');
-
       const buildObjectPayload = () => {
         // Group field (has children)
           const obj = {};
@@ -884,43 +1327,200 @@
               ? { ...buildObjectPayload(), ...extra }
               : { [this.dataKey]: values, ...extra };
 
-      // Return a *native* Promise that resolves (pass) or rejects (fail)
-      return new Promise((resolve, reject) => {
-        $.ajax({
-          url: resolvedUrl,
-          method: this.method,
-          data: payload
-        }).done((data, textStatus, jqXHR) => {
-              let isValid = false;
-              try {
-                isValid = typeof this.isValidFn === 'function' && !!this.isValidFn(data, textStatus, jqXHR);
-                Utils.debug(`Remote validation is ${isValid}, response:`, data);
-              } catch (e) {
-                console.error(`${pluginName} RemoteValidator isValidFn threw an error:`, e);
-                reject(e); return;
-              }
-              if (isValid)
-                resolve({successMessage : (this.successMessageFn && this.successMessageFn({ data, values })) || data?.successMessage});
-              else
-                reject((this.errorMessageFn && this.errorMessageFn({ data, values })) || data?.errorMessage || this.message);
-       })//
-       .fail((jqXHR, textStatus, errorThrown) => {
-         reject(errorThrown || textStatus || 'Remote validation failed');
-       }).always(function() {
-            // like finally: runs in both success and fail
-            field.$element.removeClass('ajax-loading');
+      return this._request(field, { url: resolvedUrl, method: this.method, data: payload }, values);
+    }
+
+    /**
+     * Runs a remote check for `field`, superseding the previous one still in flight
+     * for the same field: it is aborted and its promise adopts the new verdict, so a
+     * slow stale response can never overwrite the result for a newer value.
+     *
+     * Returns a *native* Promise that resolves (pass) or rejects (fail).
+     */
+    _request(field, request, values) {
+      const cacheKey = this.cacheTTL ? JSON.stringify([request.url, request.method, request.data]) : null;
+      const cached = cacheKey && this._cache.get(cacheKey);
+
+      if (cached && cached.expires > Date.now()) {
+        Utils.debug(`RemoteValidator ${this.name} : cache hit for`, request.data);
+        const promise = cached.valid ? Promise.resolve(cached.result) : Promise.reject(cached.result);
+        this._supersede(field, promise);
+        return promise;
+      }
+
+      const slot = { controller: new AbortController() };
+      const promise = new Promise((resolve, reject) => Object.assign(slot, { resolve, reject }));
+      this._supersede(field, promise, slot);
+
+      const settle = (valid, result) => {
+        if (slot.superseded) return;
+        this._settle(field, slot);
+        if (cacheKey && valid !== null) this._cache.set(cacheKey, { valid, result, expires: Date.now() + this.cacheTTL });
+        valid ? slot.resolve(result) : slot.reject(result);
+      };
+
+      const send = () => {
+        if (slot.superseded) return;
+        this._setPending(field, true);
+
+        if (this.timeout > 0) {
+          slot.timer = setTimeout(() => {
+            slot.timedOut = true;
+            slot.controller.abort();
+          }, this.timeout);
+        }
+
+        let transportResult;
+        try {
+          transportResult = this._getTransport()({ ...request, signal: slot.controller.signal });
+        } catch (e) {
+          transportResult = Promise.reject(e);
+        }
+
+        Promise.resolve(transportResult).then(({ data, textStatus, xhr } = {}) => {
+          let isValid = false;
+          try {
+            isValid = typeof this.isValidFn === 'function' && !!this.isValidFn(data, textStatus, xhr);
+            Utils.debug(`Remote validation is ${isValid}, response:`, data);
+          } catch (e) {
+            console.error(`${pluginName} RemoteValidator isValidFn threw an error:`, e);
+            settle(null, e);
+            return;
+          }
+          if (isValid)
+            settle(true, {successMessage : (this.successMessageFn && this.successMessageFn({ data, values })) || data?.successMessage});
+          else
+            // No server message → the validator rejects with its own (localized) message
+            settle(false, (this.errorMessageFn && this.errorMessageFn({ data, values })) || data?.errorMessage);
+        }, error => {
+          // Transport failures (network, HTTP, timeout) are never cached
+          settle(null, slot.timedOut
+              ? (this.timeoutMessage || getErrorMessage('remote-timeout', undefined, undefined, field.getLocale()))
+              : (error?.message || error || 'Remote validation failed'));
         });
-      });
+      };
+
+      // Per-validator debounce: a newer value arriving meanwhile supersedes this one before any request
+      this.debounce > 0 ? (slot.debounceTimer = setTimeout(send, this.debounce)) : send();
+
+      return promise;
+    }
+
+    // Replaces the field's in-flight request for this validator by `promise`
+    _supersede(field, promise, slot = null) {
+      const requests = field._remoteRequests || (field._remoteRequests = {});
+      const previous = requests[this.name];
+
+      if (previous && !previous.done) {
+        previous.superseded = true;
+        clearTimeout(previous.debounceTimer);
+        clearTimeout(previous.timer);
+        previous.controller.abort();
+        previous.resolve(promise); // adopt the newer verdict
+        Utils.debug(`RemoteValidator ${this.name} : superseded pending request of field ${field.__id__}`);
+      }
+
+      requests[this.name] = slot;
+      if (!slot) this._setPending(field, false);
+    }
+
+    _settle(field, slot) {
+      slot.done = true;
+      clearTimeout(slot.timer);
+      this._setPending(field, false);
+    }
+
+    /**
+     * Toggles the pending state of `field` (class on its class handler + `field:pending` event).
+     */
+    _setPending(field, pending) {
+      const pendings = field._pendingRemotes || (field._pendingRemotes = new Set());
+      const wasPending = pendings.size > 0;
+      pending ? pendings.add(this.name) : pendings.delete(this.name);
+      const isPending = pendings.size > 0;
+      if (wasPending === isPending || !field.$element) return; // headless fields have no UI
+
+      field._getClassHandler()
+          .toggleClass(field.options.pendingClass, isPending)
+          .attr('aria-busy', isPending);
+      field._trigger('pending', { field, validator: this.name, isPending });
+    }
+  }
+
+  /**
+   * Returns the registered locale matching `locale` (exact, then base language
+   * e.g. `fr-CH` → `fr`), or null if no catalog exists for it.
+   */
+  function resolveLocale(locale) {
+    if (!locale || typeof locale !== 'string') return null;
+    if (locales[locale]) return locale;
+    const base = locale.toLowerCase().split(/[-_]/)[0];
+    return locales[base] ? base : null;
+  }
+
+  /**
+   * Looks up a raw message in a locale catalog, falling back to the default locale.
+   * Dotted keys (e.g. `type.email`) reach into grouped messages, as does `objectKey`.
+   */
+  function lookupMessage(key, objectKey, locale) {
+    const names = new Set([resolveLocale(locale) || currentLocale, defaultLocale]);
+    for (const name of names) {
+      let entry = String(key).split('.').reduce((node, k) => node?.[k], locales[name]);
+      if (entry && typeof entry === 'object' && !Utils.isPluralMessage(entry)) entry = entry[objectKey];
+      if (entry) return entry;
+    }
+    return undefined;
+  }
+
+  function getErrorMessage(key, requirements, objectKey, locale) {
+    const errorMessage = lookupMessage(key, objectKey, locale) || lookupMessage('defaultMessage', undefined, locale);
+    return requirements ? Utils.formatMessage(errorMessage, requirements, resolveLocale(locale) || currentLocale) : errorMessage;
+  }
+
+  // Re-renders the messages of the bound forms; forms removed from the page without destroy() are released
+  function relocalizeForms() {
+    formInstances.forEach(form => {
+      if (form.element.isConnected === false) formInstances.delete(form);
+      else form._relocalize();
+    });
+  }
+
+  /**
+   * Registers (or extends) a locale catalog. Missing keys fall back to the default locale.
+   *
+   * @param {string} locale - Locale name (e.g. 'fr').
+   * @param {object} messages - Messages, same shape as the default catalog.
+   * @param {boolean} [set=false] - Also make it the active locale.
+   */
+  function addLocale(locale, messages, set = false) {
+    locales[locale] = Utils._extends(true, locales[locale] || {}, messages);
+    if (set) setLocale(locale);
+    else relocalizeForms();
+  }
+
+  /**
+   * Switches the active locale and re-renders the messages currently displayed
+   * by every bound form (forms pinned with `data-fiddo-lang`/`lang` keep theirs).
+   *
+   * @returns {boolean} false if no catalog is registered for the locale.
+   */
+  function setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    if (!resolved) {
+      Utils.warn(`Locale "${locale}" is not registered, use addLocale() first.`);
+      return false;
     }
+    currentLocale = resolved;
+    relocalizeForms();
+    return true;
   }
 
-  function getErrorMessage(key, requirements, objectKey) {
-    const errorMessage = (typeof Messages[key] === 'object' ? Messages[key]?.[objectKey] : Messages[key]) || Messages.defaultMessage;
-    return requirements ? Utils.formatMessage(errorMessage, requirements) : errorMessage;
+  function getLocale() {
+    return currentLocale;
   }
 
-  function addMessages(messages) {
-    Utils._extends(Messages, messages);
+  function addMessages(messages, locale) {
+    addLocale(resolveLocale(locale) || currentLocale, messages);
   }
 
   function addValidator(name, spec) {
@@ -985,11 +1585,80 @@
       );
     }
 
+    /**
+     * Splits raw attributes (DOM attributes or a schema entry) into constraints and
+     * plain options, merging dual pairs (e.g. min + max → range).
+     *
+     * @param {object} attributes - { name: requirements }
+     * @returns {{constraints: Array<[string, *]>, options: object}}
+     */
+    static collect(attributes) {
+      const constraints = [];
+      const options = {};
+      const usedKeys = new Set();
+
+      const isDualConstraint = (name) => {
+        const dualEntry = dualValidators[name];
+        if (
+            dualEntry &&
+            attributes.hasOwnProperty(dualEntry.dualAttr) &&
+            !usedKeys.has(dualEntry.dualAttr)
+        ) {
+          return dualEntry;
+        }
+        return false;
+      };
+
+      for (const [name, requirements] of Object.entries(attributes)) {
+
+        if (usedKeys.has(name)) continue;
+
+        if (Constraint.isValidConstraint(name, requirements)) {
+          const dual = isDualConstraint(name);
+
+          if (dual) {
+
+            const dualValues = {
+              [name]: requirements,
+              [dual.dualAttr]: attributes[dual.dualAttr]
+            };
+
+            const orderedKeys = Utils.deserialize(standardValidators[dual.dualName].dual);
+            const dualRequirements = orderedKeys.map(key => dualValues[key]);
+
+            if (Constraint.isValidConstraint(dual.dualName, dualRequirements)) {
+              constraints.push([dual.dualName, dualRequirements]);
+              usedKeys.add(dual.dualAttr);
+              continue;
+            }
+          }
+          constraints.push([name, requirements]);
+
+        } else
+          options[name] = requirements;
+      }
+
+      return { constraints, options };
+    }
+
+    /**
+     * Resolves the raw message for this constraint in the field's locale.
+     * A per-field `X-<name>-message` wins; `@key` references a catalog key.
+     */
+    getMessage() {
+      const locale = this.field.getLocale();
+      let message = this.customMessage;
+      if (message?.startsWith('@')) {
+        message = lookupMessage(message.slice(1), undefined, locale) || message;
+      }
+      return message || this.validator.getMessage(locale, this.requirements);
+    }
+
     validateConstraint(value) {
       if (!this.validator) throw new Error('Validator not found'); //return Promise.resolve();
 
       Utils.debug(`Constraint:${this.name} field:${this.field.__id__} validate with value:${value} requirements:${this.requirements}`);
-      return this.validator.validate(value, this.requirements, this.field);
+      return this.validator.validate(value, this.requirements, this.field, this.getMessage());
       // ?? NEEDED .catch(err => Promise.reject(err || this._defaultMessage()));
     }
   }
@@ -1046,49 +1715,10 @@
     }
 
     _bindConstraints() {
-        const attributes = this._getAttr();
-        this.domOptions = {}
-        const usedKeys = new Set();
-
-      const isDualConstraint = (name, attributes) => {
-        const dualEntry = dualValidators[name];
-        if (
-            dualEntry &&
-            attributes.hasOwnProperty(dualEntry.dualAttr) &&
-            !usedKeys.has(dualEntry.dualAttr)
-        ) {
-          return dualEntry;
-        }
-        return false;
-      };
-
-        for (const [name, requirements] of Object.entries(attributes)) {
-
-          if (usedKeys.has(name)) continue;
-
-          if (Constraint.isValidConstraint(name, requirements)) {
-            const dual = isDualConstraint(name, attributes);
-
-            if (dual) {
-
-              const dualValues = {
-                [name]: requirements,
-                [dual.dualAttr]: attributes[dual.dualAttr]
-              };
-
-              const orderedKeys = Utils.deserialize(standardValidators[dual.dualName].dual);
-              const dualRequirements = orderedKeys.map(key => dualValues[key]);
-
-              if (Constraint.isValidConstraint(dual.dualName, dualRequirements)) {
-                this.addConstraint(dual.dualName, dualRequirements);
-                usedKeys.add(dual.dualAttr);
-              }
-            } else
-              this.addConstraint(name, requirements);
-
-          } else
-            this.domOptions[name] = requirements;
-        }
+      const { constraints, options } = Constraint.collect(this._getAttr());
+      this.domOptions = options;
+      constraints.forEach(([name, requirements]) => this.addConstraint(name, requirements));
+      this._bindConditions();
     }
 
     // Choose sane defaults per element type
@@ -1177,30 +1807,190 @@
       Utils.debug(`Field \`${this.__id__}\` : adding constraint:${name} requirements:${requirements}`);
       const constraint = new Constraint(this, name, requirements);
 
-      // Handle
+      // Per-field message (literal or "@key" catalog reference), resolved at validation time
       const customConstraintMessage = this.domOptions[`${name}Message`];
-      if (customConstraintMessage?.length) {
-        if (customConstraintMessage.startsWith('@')) {
-          const msgKey = customConstraintMessage.slice(1); // remove "@"
-          constraint.validator.message = Messages[msgKey] || customConstraintMessage;
-        } else {
-          constraint.validator.message = customConstraintMessage;
-        }
+      if (typeof customConstraintMessage === 'string' && customConstraintMessage.length) {
+        constraint.customMessage = customConstraintMessage;
       }
       this.constraints[name] = constraint;
     }
 
+    /**
+     * Returns the active locale of this field (the one of its form).
+     */
+    getLocale() {
+      return this.form.getLocale();
+    }
+
+    /**
+     * Returns the language tag of this field (the one of its form), used for dates.
+     */
+    getLanguage() {
+      return this.form.getLanguage();
+    }
+
+    /**
+     * Returns the value referenced by a selector requirement (e.g. `equalto="#pwd"`),
+     * or undefined if the selector matches nothing.
+     */
+    resolveReference(selector) {
+      return $(selector).val();
+    }
+
+    /**
+     * Kind of value held by this field, used by cross-field comparisons.
+     */
+    getValueKind() {
+      return valueKindOf(this.constraints, this.element.type);
+    }
+
+    /**
+     * Input elements referenced by selector requirements of this field's
+     * constraints (e.g. `equalto="#pwd"`), used to build the form dependency graph.
+     */
+    getReferencedElements() {
+      const elements = new Set();
+      for (const constraint of Object.values(this.constraints)) {
+        for (const requirement of Utils.toArray(constraint.requirements)) {
+          if (!typeTesters.selector.test(requirement)) continue;
+          $(requirement).filter('input, select, textarea').each((i, el) => {
+            if (el !== this.element) elements.add(el);
+          });
+        }
+      }
+
+      // Inputs read by the validate-if conditions (inputs inside a referenced container included)
+      for (const condition of Object.values(this._conditions || {})) {
+        for (const selector of condition.selectors) {
+          $(selector).find('input, select, textarea').addBack('input, select, textarea').each((i, el) => {
+            if (el !== this.element) elements.add(el);
+          });
+        }
+      }
+      return [...elements];
+    }
+
+    /**
+     * Name of the step (section) this field belongs to, or null: the closest
+     * `X-step` container, else the outermost enclosing `<fieldset>` having a name or id.
+     */
+    getStep() {
+      if (this._step === undefined) this._step = this._resolveStepContainer()?.name ?? null;
+      return this._step;
+    }
+
+    _resolveStepContainer() {
+      const attr = `${this.options.namespace}step`;
+      const formEl = this.$element.closest('form')[0];
+      const inForm = el => !formEl || $.contains(formEl, el);
+
+      const explicit = this.$element.closest(`[${attr}]`)[0];
+      if (explicit && inForm(explicit)) return { name: explicit.getAttribute(attr), element: explicit };
+
+      // jQuery .add() sorts in document order → the first match is the outermost fieldset
+      const fieldset = this.$element.parents('fieldset').add(this.$element.filter('fieldset'))
+          .filter((i, el) => inForm(el) && (el.name || el.id))[0];
+      return fieldset ? { name: fieldset.name || fieldset.id, element: fieldset } : null;
+    }
+
+    // Returns the Form owning this field (group children have their GroupField as `form`)
+    _getForm() {
+      let form = this.form;
+      while (form instanceof Field) form = form.form;
+      return form;
+    }
+
+    // Fields of a step the wizard is not showing are hidden by it, not by the page
+    _isInInactiveStep() {
+      const form = this._getForm();
+      return !!(form?._hasNavigator && this.getStep() && this.getStep() !== form.currentStep);
+    }
+
+    /**
+     * Name under which this field appears in a schema (see `Form.toSchema()`).
+     */
+    _getSchemaName() {
+      return this.element.name || this.__id__;
+    }
+
+    /**
+     * Exports the constraints of this field as a schema entry for `validateData()`.
+     * HTML boolean attributes (e.g. `required`) are exported as `true`.
+     */
+    toSchema() {
+      const entry = {};
+      for (const constraint of Object.values(this.constraints)) {
+        const requirements = constraint.requirements;
+        entry[constraint.name] = requirements === '' ? true
+            : typeof requirements === 'string' ? Utils.deserialize(requirements)
+                : requirements;
+        if (constraint.customMessage) entry[`${constraint.name}Message`] = constraint.customMessage;
+      }
+      return entry;
+    }
+
+    /**
+     * Re-renders the currently displayed error messages in the active locale.
+     * Messages that did not come from a catalog (e.g. server responses) are kept.
+     */
+    _relocalize() {
+      if (this._lastValidationState !== false || !Array.isArray(this.validationResult)) return;
+
+      const locale = this.getLocale();
+      for (const error of this.validationResult) {
+        const constraint = this.constraints[error.assert];
+        if (!error.localizable || !constraint?.validator) continue;
+        const parameters = constraint.validator.getMessageParameters(constraint.requirements, this);
+        error.message = error.errorMessage = Utils.formatMessage(constraint.getMessage(), parameters, locale);
+      }
+      this._handleUI(false);
+    }
+
+    /**
+     * Displays error(s) coming from the server (e.g. uniqueness, business rules)
+     * through the normal UI path, as a failed `server` assert. The field stays
+     * invalid until its value changes: the next validation replaces the error.
+     *
+     * @param {string|string[]} message - Message(s); empty clears the server error.
+     */
+    setServerError(message) {
+      const messages = Utils.toArray(message).filter(Boolean);
+      if (!messages.length) return this.clearServerError();
+
+      this.validationSuccessMessage = null;
+      this.validationResult = messages.map(msg => ValidationError.from('server', msg));
+      this._lastValidationState = false;
+      this._serverError = true;
+      this._serverErrorValue = Utils.cloneValue(this.getValue());
+
+      this._handleUI(false);
+      this._trigger('error',[{field : this}]);
+    }
+
+    clearServerError() {
+      if (!this._serverError) return;
+      this._serverError = false;
+      this._neutralizeUI();
+    }
+
+    // True while the value the server rejected is unchanged; an edit drops the server error
+    _isServerErrorPending(value) {
+      if (this._serverError && Utils.areEquals(value, this._serverErrorValue)) return true;
+      this._serverError = false;
+      return false;
+    }
+
     /**
      * shouldValidate()
      * ------------------------------------------------------------------
      * Determines whether this field should be validated,
      * based on `data-fiddo-validate-if` and `data-fiddo-not-validate-if` conditions.
      *
-     * Supports:
-     *   - jQuery-style CSS selectors (e.g., "#isCompany")
-     *   - Global function names (e.g., "shouldValidateField")
-     *   - Inline JavaScript expressions (e.g., "someVar === true")
-     *   - Function references passed directly via JS config
+     * Conditions are compiled once at bind time (see `compileCondition`):
+     *   - Expressions of the condition language (e.g. "#country == 'US' && [name=age] >= 18")
+     *   - A lone selector (e.g. "#isCompany": checked checkbox / non-empty value)
+     *   - Global function names (e.g. "shouldValidateField"), called with the field
+     *   - Raw JavaScript expressions, only with the `allowUnsafeConditions` option
      *
      * Evaluation order:
      *   1. `validateIf` must evaluate to true (or be undefined)
@@ -1213,90 +2003,60 @@
      *
      * Limitations:
      *   - If `notValidateIf` and `validateIf` conflict, `notValidateIf` takes precedence.
-     *   - Unsafe expression evaluation (e.g. JS string parsing) should be avoided in secure contexts.
+     *   - A condition failing at runtime (e.g. a throwing global function) counts as false.
+     *   - A condition with a syntax error makes the field not applicable (see `_bindConditions`).
      *
      * Examples:
      *   <input type="text"
-     *     data-fiddo-validate-if="#isCompany"
-     *     data-fiddo-not-validate-if="$('#skipField').is(':checked')">
+     *     data-fiddo-validate-if="#isCompany:checked"
+     *     data-fiddo-not-validate-if="[name=plan] in ('free', 'trial')">
      */
     shouldValidate() {
-      const validateIf = this.domOptions.validateIf;
-      const notValidateIf = this.domOptions.notValidateIf;
-
-      /**
-       * evaluateConditionValue(condition)
-       * ----------------------------------
-       * Evaluates the provided condition, which may be:
-       *   - A jQuery-style selector string (e.g., "#myCheckbox")
-       *   - A global JS function name string (e.g., "shouldValidateField")
-       *   - A direct JS expression string (e.g., "'US' === $('#country').val()")
-       *   - A function reference
-       *
-       * Returns:
-       *   - Boolean result indicating whether condition is satisfied
-       *   - false if an error occurs or selector is not found
-       */
-      const evaluateConditionValue = (condition) => {
-        if (typeof condition === 'undefined') return true;
+      const { validateIf, notValidateIf } = this._conditions || {};
 
+      const evaluate = (condition) => {
         try {
-          // Case 1: condition is a CSS selector
-          if (Utils.isSelector(condition)) {
-            const $target = $(condition);
-
-            // Fail if selector matches no elements
-            if (!$target.length) {
-              throw new Error(`[${pluginName}] validate-if selector "${condition}" did not match any elements.`);
-            }
-
-            // Checkbox → use .is(':checked')
-            if ($target.is(':checkbox')) {
-              return $target.is(':checked');
-
-              // Select (single or multiple) → check for non-empty value(s)
-            } else if ($target.is('select')) {
-              const val = $target.val();
-              return Array.isArray(val) ? val.length > 0 : !!val;
-
-              // Other fields → check for non-empty value
-            } else {
-              return !!$target.val();
-            }
-          }
-
-          // Case 2: condition is a global function name
-          if (typeof condition === 'string' && typeof window[condition] === 'function') {
-            return window[condition](this); // call with field as context
-          }
-
-          // Case 3: condition is a raw JS expression string
-          if (typeof condition === 'string') {
-            return Function('"use strict";return (' + condition + ')')(); // evaluated in global scope
-          }
-
-          // Case 4: condition is a function reference
-          if (typeof condition === 'function') {
-            return condition.call(this);
-          }
-
+          return condition.evaluate(this);
         } catch (e) {
-          Utils.warn(`Error evaluating validate-if condition:`, e);
-          return false; // fail-safe: do not validate if logic fails
+          Utils.warn(`Error evaluating condition "${condition.source}" of field \`${this.__id__}\`:`, e);
+          return false; // fail-safe
         }
-
-        // Default fallback: treat as valid
-        return true;
       };
 
       // Evaluate both validateIf and notValidateIf conditions
-      const should = typeof validateIf !== 'undefined' ? evaluateConditionValue(validateIf) : true;
-      const shouldNot = typeof notValidateIf !== 'undefined' ? evaluateConditionValue(notValidateIf) : false;
+      const should = validateIf ? evaluate(validateIf) : true;
+      const shouldNot = notValidateIf ? evaluate(notValidateIf) : false;
 
       // Only validate if validateIf is true and notValidateIf is false
       return should && !shouldNot;
     }
 
+    /**
+     * Compiles validate-if / not-validate-if at bind time. A syntax error does not stop the
+     * binding: it is warned and triggered as `field:condition-error`, and the field is
+     * treated as not applicable (the broken validate-if is false, not-validate-if true).
+     */
+    _bindConditions() {
+      this._conditions = {};
+      const attributes = { validateIf: 'validate-if', notValidateIf: 'not-validate-if' };
+      for (const [key, attribute] of Object.entries(attributes)) {
+        if (this.domOptions[key] === undefined) continue;
+        let condition;
+        try {
+          condition = compileCondition(this.domOptions[key], {
+            allowUnsafe: this.options.allowUnsafeConditions === true,
+            owner: `${this.options.namespace}${attribute} of field \`${this.__id__}\``
+          });
+        } catch (error) {
+          Utils.warn(`${error.message.replace(`[${pluginName}] `, '')}; the field is not validated`);
+          const applicable = key === 'notValidateIf';
+          condition = { source: String(this.domOptions[key]), selectors: [], error, evaluate: () => applicable };
+          this._trigger('condition-error', { field: this, error, attribute: `${this.options.namespace}${attribute}` });
+        }
+        if (condition) this._conditions[key] = condition;
+      }
+    }
+
 
     /**
      * Field::whenValidate()
@@ -1308,12 +2068,12 @@
      * and for running all registered constraints when necessary.
      *
      * It handles:
-     *   - `fiddo-validate-if` logic (conditional validation)
+     *   - `fiddo-validate-if` logic (conditional validation, see `shouldValidate()`)
      *     Examples:
      *       - data-fiddo-validate-if="#isCompany"
-     *         → Validate only if the element with ID `isCompany` has a value.
+     *         → Validate only if `#isCompany` is checked (checkbox/radio) or non-empty.
      *
-     *       - data-fiddo-validate-if="$('#country').val() === 'US'"
+     *       - data-fiddo-validate-if="#country == 'US'"
      *         → Validate only if the selected country is "US".
      *
      *       - data-fiddo-validate-if="shouldValidateField"
@@ -1382,7 +2142,17 @@
       const should = this.shouldValidate();
       this._lastShouldValidate = should;
 
-      if (prevShould === should && Utils.areEquals(value, this._lastValidatedValue) && this._lastValidationState !== null) {
+      // A referenced field changed (see Form._revalidateDependents) → the cached result is stale
+      const invalidated = this._invalidated;
+      this._invalidated = false;
+
+      if (this._isServerErrorPending(value)) return Promise.reject(this);
+
+      // A file input keeps the same value (fake path) when another file of the same name is picked
+      const files = this.getFiles();
+      const sameFiles = Utils.arraysEqual(files, this._lastValidatedFiles || []);
+
+      if (!invalidated && sameFiles && prevShould === should && Utils.areEquals(value, this._lastValidatedValue) && this._lastValidationState !== null) {
         return this._lastValidationState ? Promise.resolve(value) : Promise.reject(this);
       }
 
@@ -1393,15 +2163,27 @@
        */
       this.validationResult = [];
       this._lastValidatedValue = Utils.cloneValue(value);
+      this._lastValidatedFiles = files;
 
       /**
        * Conditional validation
        * ------------------------------
-       * If a `data-fiddo-validate-if` condition is present and evaluates to false,
-       * validation is skipped and field is treated as valid.
+       * If a `data-fiddo-validate-if` condition is present and evaluates to false
+       * (or `data-fiddo-not-validate-if` to true, or either has a syntax error),
+       * validation is skipped and the field is treated as valid.
        */
+      // Not applicable (condition false) → clear its messages rather than showing a success
+      if (!should && !this._isChoiceInput) {
+        if (this._lastValidationState !== null) this._neutralizeUI();
+        this._lastShouldValidate = false;
+        this._lastValidatedValue = Utils.cloneValue(value);
+        this._lastValidationState = true;
+        this._isValid = true;
+        return Promise.resolve(value);
+      }
+
       // Is this a checkbox or radio?
-      if (this._isChoiceInput||!this.shouldValidate()||!Utils.size(this.constraints)||!Utils.isElementVisible(this.$element))
+      if (this._isChoiceInput||!Utils.size(this.constraints)||(!Utils.isElementVisible(this.$element) && !this._isInInactiveStep()))
         return resolveAsValid(false);
 
       /**
@@ -1530,6 +2312,11 @@
       return this.element.value;
     }
 
+    // Selected files of a file input (empty for other inputs)
+    getFiles() {
+      return Array.from(this.element.files || []);
+    }
+
     _isRequired() {
       return this.constraints.required && false !== this.constraints.required.requirements;
     }
@@ -1670,6 +2457,7 @@
     }
 
     destroy() {
+      this._abortRemoteRequests();
       this.$element.off(`.${pluginName}Field`);
       this.$errorsWrapper && (this.$errorsWrapper.remove(), this.$errorsWrapper = null);
       this.constraints = {};
@@ -1679,11 +2467,56 @@
       this._isValid = false;
     }
 
+    // Drops the remote checks in flight (see RemoteValidator._supersede): a late response must not render on a destroyed field
+    _abortRemoteRequests() {
+      Object.values(this._remoteRequests || {}).forEach(slot => {
+        if (!slot || slot.done) return;
+        slot.superseded = true;
+        clearTimeout(slot.debounceTimer);
+        clearTimeout(slot.timer);
+        slot.controller.abort();
+      });
+      this._remoteRequests = {};
+      if (this._pendingRemotes?.size) {
+        this._pendingRemotes.clear();
+        this._getClassHandler().removeClass(this.options.pendingClass).removeAttr('aria-busy');
+      }
+    }
+
     refresh() {
       this.destroy();  // Clean up existing event bindings, UI, constraints
       this._actualizeConstaints();
     }
 
+    /**
+     * Re-reads the constraints after an attribute change, keeping the UI and
+     * state; a field already displaying a result is re-validated. When the new
+     * attributes are invalid (e.g. a pattern that is not an anchored regexp),
+     * a warning is logged and the previous constraints are kept.
+     *
+     * @returns {boolean} false if the previous constraints were kept.
+     */
+    _rebuildConstraints() {
+      const previous = {
+        constraints: this.constraints, domOptions: this.domOptions, _conditions: this._conditions,
+        _name: this._name, _isChoiceInput: this._isChoiceInput
+      };
+      this.constraints = {};
+      this._name = Utils.parseInputName(this.element.name) || this.__id__;
+      this._isChoiceInput = /^(checkbox|radio)$/i.test(this.element.type);
+      try {
+        this._bindConstraints();
+      } catch (error) {
+        Object.assign(this, previous);
+        Utils.warn(`Field \`${this.__id__}\` : ${error.message.replace(`[${pluginName}] `, '')}; its previous constraints are kept`);
+        return false;
+      }
+      this._bindEvents();
+      this._invalidated = true;
+      if (this._lastValidationState !== null) this._validateIfNeeded();
+      return true;
+    }
+
     // Shortcut to trigger an event
     _trigger(eventName, ...params) {
       return this.$element.trigger(`field:${eventName}`, params);
@@ -1703,17 +2536,23 @@
     _collectGroupFields() {
       this.fields = [];
 
-      // Before the loop
-      let groupInputType = null;            // will be 'checkbox' | 'radio' | null
-      const specialTypes = new Set();       // collects 'checkbox' / 'radio' actually seen
-      let hasOtherTypes = false;            // did we see any non-checkbox/radio element?
-
       this.form._getCandidateElements(this.$element).each((i, el) => {
         Utils.debug(`FieldGroup : collecting child element \`${Utils.getElementId(el)}\``);
 
         const field = new Field(el, this, this.options, this);
         this.fields.push(field);
+      });
+
+      this._detectMultipleType();
+    }
 
+    _detectMultipleType() {
+      // Before the loop
+      let groupInputType = null;            // will be 'checkbox' | 'radio' | null
+      const specialTypes = new Set();       // collects 'checkbox' / 'radio' actually seen
+      let hasOtherTypes = false;            // did we see any non-checkbox/radio element?
+
+      this.fields.forEach(({ element: el }) => {
         const type = (el.type || '').toLowerCase();
 
         // Track only the special groupable types
@@ -1744,6 +2583,24 @@
       return this.fields.some(field => field.element === element);
     }
 
+    // Adds an input appearing inside the group container, keeping the other children as they are
+    _addChild(element) {
+      const field = new Field(element, this, this.options, this);
+      this.fields.push(field);
+      Utils.sortByDocumentPosition(this.fields);
+      this._detectMultipleType();
+      this._invalidated = true;
+      return field;
+    }
+
+    _removeChild(field) {
+      field._neutralizeUI();
+      field.destroy();
+      this.fields = this.fields.filter(f => f !== field);
+      this._detectMultipleType();
+      this._invalidated = true;
+    }
+
     // In class GroupField
     _preValidate() {
       // No children => nothing to gate
@@ -1820,6 +2677,16 @@
     whenValidateGroup() {
       Utils.debug(`Group field ${this.__id__} is validating with ${this.fields.length} fields`);
 
+      // A group whose condition is false does not apply, nor do its children
+      if (!this.shouldValidate()) {
+        [this, ...this.fields].forEach(field => {
+          if (field._lastValidationState !== null) field._neutralizeUI();
+        });
+        this._lastValidationState = true;
+        this._isValid = true;
+        return Promise.resolve(this.getValue());
+      }
+
       // If sequential, wrap each field validation in a thunk (() => Promise).
       // If parallel, start all child validations immediately.
       const childItems = this.options?.stopAtFirstError
@@ -1836,10 +2703,16 @@
       return run(childItems)
 
           .then(values => {
+            if (this._isServerErrorPending(this.getValue())) return Promise.reject(this);
+
             // --- 3) Skip work if values didn’t change since last validation ---
             // Optimization: if the array of child values is identical to the last run,
             // and we have a cached result, just reuse it.
-            if (Utils.arraysEqual(values, this._lastValidatedValue) && this._lastValidationState !== null) {
+            // A child or a referenced element changed (see Form) → the cached result is stale
+            const invalidated = this._invalidated;
+            this._invalidated = false;
+
+            if (!invalidated && Utils.arraysEqual(values, this._lastValidatedValue) && this._lastValidationState !== null) {
               Utils.debug(`Group field ${this.__id__} no value changed, returns same last validation state`);
               return this._lastValidationState ? Promise.resolve(values) : Promise.reject(this);
             }
@@ -1899,6 +2772,17 @@
       }
     }
 
+    _relocalize() {
+      this.fields.forEach(field => field._relocalize());
+      super._relocalize();
+    }
+
+    // Checkbox/radio groups are named after their inputs, other groups after the container
+    _getSchemaName() {
+      const names = new Set(this.fields.map(field => field.element.name));
+      return names.size === 1 && !names.has('') ? names.values().next().value : this.__id__;
+    }
+
     destroy() {
       this.fields.forEach(field => field.destroy?.());
       // Call parent cleanup (Field.destroy)
@@ -1912,6 +2796,45 @@
     }
   }
 
+  // Builds { name: [messages] } from a list of error entries
+  function toErrorMap(entries, nameOf, messageOf) {
+    const map = {};
+    entries.forEach(entry => {
+      const name = entry && nameOf(entry);
+      const message = entry && messageOf(entry);
+      if (name && message) (map[name] = map[name] || []).push(message);
+    });
+    return Utils.size(map) ? map : null;
+  }
+
+  /**
+   * Server error adapters: turn an error response payload into a
+   * `{ fieldName: message | [messages] }` map for `Form.setErrors()`, or null.
+   */
+  const serverErrorAdapters = {
+
+    // { errors: { "address[city]": ["..."] } } (Laravel, Rails, ...)
+    errors: payload =>
+        payload?.errors && typeof payload.errors === 'object' && !Array.isArray(payload.errors) ? payload.errors : null,
+
+    // JSON:API { errors: [{ source: { pointer: "/data/attributes/email" }, detail: "..." }] }
+    jsonapi: payload => Array.isArray(payload?.errors)
+        ? toErrorMap(payload.errors,
+            e => (e.source?.pointer || '').split('/').pop() || e.source?.parameter,
+            e => e.detail || e.title)
+        : null,
+
+    // { errors: [{ field: "email", message: "..." }] } (Spring: defaultMessage, others: name/property)
+    list: payload => Array.isArray(payload?.errors)
+        ? toErrorMap(payload.errors, e => e.field || e.name || e.property, e => e.message || e.defaultMessage)
+        : null,
+
+    // RFC 7807 problem details { "invalid-params": [{ name: "email", reason: "..." }] }
+    problem: payload => Array.isArray(payload?.['invalid-params'])
+        ? toErrorMap(payload['invalid-params'], e => e.name, e => e.reason)
+        : null
+  };
+
   class Form {
     constructor(form, options = {}) {
       this.element = form;
@@ -1922,9 +2845,66 @@
       this.$element[namespace] = true;
       this._bindSubmit();
       this._bindFields();
+      if (this.options.observe) this._observe();
+      formInstances.add(this);
       this._trigger('init', { form : this});
     }
 
+    /**
+     * Returns the active locale of this form: `setLocale()` override, then
+     * `data-fiddo-lang`, then the form's `lang` attribute, then the global locale.
+     */
+    getLocale() {
+      return resolveLocale(this.locale) ||
+          resolveLocale(this.element.getAttribute(`${this.options.namespace}lang`)) ||
+          resolveLocale(this.element.getAttribute('lang')) ||
+          currentLocale;
+    }
+
+    /**
+     * Returns the language tag of this form as written (`de-CH`, `fr`), registered catalog
+     * or not: month names of dates follow it, while messages use `getLocale()`.
+     */
+    getLanguage() {
+      return this.locale ||
+          this.element.getAttribute(`${this.options.namespace}lang`) ||
+          this.element.getAttribute('lang') ||
+          currentLocale;
+    }
+
+    /**
+     * Pins this form to a locale (pass null to follow the global one again)
+     * and re-renders its displayed messages.
+     */
+    setLocale(locale) {
+      this.locale = locale;
+      this._relocalize();
+    }
+
+    _relocalize() {
+      this.fields.forEach(field => field._relocalize());
+    }
+
+    /**
+     * Exports the schema this form validates with, in the format of `validateData()`,
+     * so that backend and frontend rules can be compared.
+     *
+     * @returns {object} { fieldName: { constraint: requirements, ... } }
+     */
+    toSchema() {
+      const schema = {};
+      const collect = field => {
+        (field.fields || []).forEach(collect);
+        const entry = field.toSchema();
+        if (Utils.size(entry)) {
+          const name = field._getSchemaName();
+          schema[name] = { ...schema[name], ...entry };
+        }
+      };
+      this.fields.forEach(collect);
+      return schema;
+    }
+
     _submit(originalEvent, submitSource) {
       const event = $.Event('submit', {
         originalEvent,
@@ -1937,11 +2917,154 @@
       Utils.debug(`Form submitted`, event);
     }
 
+    // Opt-in with the `ajaxSubmit` option or the `X-ajax-submit` form attribute
+    _isAjaxSubmit() {
+      const attr = this.element.getAttribute(`${this.options.namespace}ajax-submit`);
+      return this.options.ajaxSubmit === true || (attr !== null && attr !== 'false');
+    }
+
+    /**
+     * Submits the (valid) form through the remote transport instead of natively.
+     *
+     * Triggers `form:ajax-success` with `{ form, data, xhr }`, or `form:ajax-error`
+     * with `{ form, error, data, xhr, errors, unmatched }`: when an adapter finds
+     * field errors in the response, they are displayed with `setErrors()`.
+     * While a submission is in flight, another one (e.g. double click) gets its promise.
+     *
+     * @returns {Promise<boolean>} true on success.
+     */
+    _ajaxSubmit(originalEvent, submitSource) {
+      if (this._ajaxSubmitting) {
+        Utils.debug(`Form ajax submit already in flight, ignored`);
+        return this._ajaxSubmitting;
+      }
+
+      const request = {
+        url: submitSource?.getAttribute?.('formaction') || this.element.getAttribute('action') || window.location.href,
+        method: (submitSource?.getAttribute?.('formmethod') || this.element.getAttribute('method') || 'GET').toUpperCase(),
+        data: this._ajaxSubmitData(submitSource)
+      };
+
+      this.$element.addClass(this.options.pendingClass).attr('aria-busy', true);
+      Utils.debug(`Form ajax submit`, request);
+
+      return this._ajaxSubmitting = Promise.resolve()
+          .then(() => resolveTransport(this.options.ajaxTransport || globalConfig.remoteTransport, 'Form ajax submit')(request))
+          .then(({ data, xhr } = {}) => {
+            this._trigger('ajax-success', { form: this, data, xhr });
+            return true;
+          })
+          .catch(error => {
+            const payload = error?.data;
+            const errors = this._adaptServerErrors(payload);
+            const unmatched = errors ? this.setErrors(errors) : null;
+            this._trigger('ajax-error', { form: this, error, data: payload, xhr: error?.xhr, errors, unmatched });
+            return false;
+          })
+          .finally(() => {
+            this._ajaxSubmitting = null;
+            this.$element.removeClass(this.options.pendingClass).removeAttr('aria-busy');
+          });
+    }
+
+    /**
+     * Body of an AJAX submit: a FormData (files included) for multipart forms or forms
+     * holding file inputs, the serialized query string otherwise. Files cannot go with
+     * GET (no body), nor without FormData support: they are dropped with a warning.
+     */
+    _ajaxSubmitData(submitSource) {
+      const submitter = submitSource?.name && $(submitSource).is('button, input[type=submit], input[type=image]')
+          ? { [submitSource.name]: submitSource.value }
+          : null;
+      const method = (submitSource?.getAttribute?.('formmethod') || this.element.getAttribute('method') || 'GET').toUpperCase();
+      const enctype = (submitSource?.getAttribute?.('formenctype') || this.element.getAttribute('enctype') || '').toLowerCase();
+      const hasFiles = this.$element.find('input[type=file]').length > 0;
+
+      if ((hasFiles || enctype === 'multipart/form-data') && !/^(GET|HEAD)$/.test(method)) {
+        if (typeof FormData === 'function') {
+          const data = new FormData(this.element);
+          submitter && data.append(submitSource.name, submitSource.value);
+          return data;
+        }
+        hasFiles && Utils.warn(`Form ajax submit: FormData is not supported, file inputs are not sent`);
+      } else if (hasFiles) {
+        Utils.warn(`Form ajax submit: file inputs are not sent with ${method}, use a POST multipart form`);
+      }
+
+      let data = this.$element.serialize();
+      if (submitter) data += (data ? '&' : '') + Utils.toQueryString(submitter);
+      return data;
+    }
+
+    // Runs the configured adapter(s) (name, function or list of them); the first map found wins
+    _adaptServerErrors(payload) {
+      if (!payload || typeof payload !== 'object') return null;
+      for (const adapter of Utils.toArray(this.options.serverErrorAdapter)) {
+        const fn = typeof adapter === 'function' ? adapter : serverErrorAdapters[adapter];
+        if (typeof fn !== 'function') {
+          Utils.warn(`Form : unknown server error adapter \`${adapter}\``);
+          continue;
+        }
+        const map = fn(payload);
+        if (map && Utils.size(map)) return map;
+      }
+      return null;
+    }
+
+    /**
+     * Finds the field for a server-side name: exact `name`/`id` first (dotted
+     * `address.city` is read as `address[city]`), then the simplified name given
+     * by `Utils.parseInputName`. Inputs of a checkbox/radio group resolve to the group.
+     */
+    _findFieldByName(name) {
+      const bracketed = String(name).replace(/\.([^.\[\]]+)/g, '[$1]');
+      const parsed = Utils.parseInputName(bracketed);
+      const all = [];
+      const collect = field => {
+        all.push(field);
+        (field.fields || []).forEach(collect);
+      };
+      this.fields.forEach(collect);
+
+      const found =
+          all.find(f => [name, bracketed, `${bracketed}[]`].includes(f.element.name) || f.element.id === name) ||
+          all.find(f => f._name === parsed);
+
+      return found?._parentGroup?.multipleType ? found._parentGroup : found;
+    }
+
+    /**
+     * Displays server-side errors on the matching fields (see `Field.setServerError`),
+     * then shows the first step with an error and focuses it.
+     *
+     * @param {object} errors - { fieldName: message | [messages] }
+     * @returns {object} The entries that matched no field.
+     */
+    setErrors(errors) {
+      const unmatched = {};
+      const failedFields = [];
+
+      for (const [name, messages] of Object.entries(errors || {})) {
+        const field = this._findFieldByName(name);
+        if (!field) {
+          unmatched[name] = messages;
+          continue;
+        }
+        field.setServerError(messages);
+        failedFields.push(field);
+      }
+
+      if (failedFields.length) this._showFirstFailedStep(failedFields);
+      if (Utils.size(unmatched)) Utils.debug(`Form : server errors without field`, unmatched);
+      return unmatched;
+    }
+
     _bindSubmit() {
       this.$element.on(`submit.${pluginName}`, e => {
         if (e.valid_submit) return;
         e.preventDefault();
         e.stopImmediatePropagation();
+        if (this._ajaxSubmitting) return false; // an AJAX submission is in flight
 
         const submitSource = e.originalEvent?.submitter || document.activeElement || null;
 
@@ -1950,12 +3073,12 @@
 
               this._trigger('success');
               if (this._trigger('submit', { event: e }, submitSource) !== false) {
-                this._submit(e, submitSource);
+                this._isAjaxSubmit() ? this._ajaxSubmit(e, submitSource) : this._submit(e, submitSource);
               }
             })
             .catch((failedFields) => {
               this._trigger('error');
-              this.focus(failedFields);
+              this._showFirstFailedStep(failedFields);
             });
 
         return false;
@@ -1987,6 +3110,8 @@
           return;
         }
 
+        if (this._isStepContainer(el)) return;
+
         let field;
         if ($(el).is('input, textarea, select')) {
           field = new Field(el, this, this.options);
@@ -2001,43 +3126,405 @@
       this.fields = [];
       const domElements = this._getCandidateElements(this.$element, `:attrStartsWith(${this.options.namespace})`);
       this._addFieldsFromElements(domElements.toArray());
+      this._bindDependencies();
+      this._bindSteps();
     }
 
-    // Form
-    whenValidate() {
-      this._trigger('validate');
-
-      const validations = this.fields.map(field => field.whenValidate());
-
-      return Utils.all(validations)
-          .then(values => {
-            this._trigger('validated');
-            return values;
-          })
-          .catch(failedFields => {
-            this._trigger('error');
-            return Promise.reject(failedFields);
-          });
+    // Same filter as _getCandidateElements, for a single element
+    _isCandidateElement(el) {
+      return el !== this.element && this.element.contains(el) && $(el)
+          .filter(`${this.options.inputs},:attrStartsWith(${this.options.namespace})`)
+          .not(this.options.excluded)
+          .not(`[${this.options.namespace}excluded=true]`).length > 0 && !this._isStepContainer(el);
     }
 
-    validate() {
-      return this.whenValidate().then(_ => true).catch(_ => false);
-    }
+    /**
+     * Returns the field (or group child field) bound to an element, a jQuery
+     * object or a selector, or matching a name (see `_findFieldByName`).
+     *
+     * @param {string|HTMLElement|jQuery} nameOrEl
+     * @returns {Field|GroupField|null}
+     */
+    getField(nameOrEl) {
+      if (nameOrEl instanceof Field) return nameOrEl;
 
-    focus(failedFields) {
-      if (!failedFields.length) return;
+      if (typeof nameOrEl === 'string') {
+        const byName = this._findFieldByName(nameOrEl);
+        if (byName) return byName;
+        if (!typeTesters.selector.test(nameOrEl)) return null;
+      }
 
-      const firstInvalid = failedFields[0];
-      let targetEl = null;
+      const element = typeof nameOrEl === 'string' ? this.$element.find(nameOrEl)[0] : $(nameOrEl)[0];
+      if (!element) return null;
 
-      if (firstInvalid instanceof GroupField && firstInvalid.fields.length > 0) {
-        const invalidField = firstInvalid.fields.find(f => f._isValid !== true);
-        targetEl = (invalidField || firstInvalid.fields[0]).element;
-      } else {
-        targetEl = firstInvalid.element;
+      for (const field of this.fields) {
+        if (field.element === element) return field;
+        const child = (field.fields || []).find(f => f.element === element);
+        if (child) return child;
       }
+      return null;
+    }
 
-      if (targetEl.tagName === 'SELECT' && targetEl.selectize && targetEl.selectize instanceof Selectize) targetEl = targetEl.selectize;
+    /**
+     * Starts validating a new element, keeping the state of the other fields.
+     * An input inside an existing group container becomes a child of that group;
+     * a new group container takes over the fields of its inputs.
+     *
+     * @param {HTMLElement|jQuery|string} el
+     * @returns {Field|GroupField|null} The new (or already bound) field.
+     */
+    addField(el) {
+      const element = $(el)[0];
+      if (!element) return null;
+
+      const existing = this.getField(element);
+      if (existing) return existing;
+
+      if (!this._isCandidateElement(element)) {
+        Utils.warn(`Form : \`${Utils.getId(element)}\` is not a candidate field of this form`);
+        return null;
+      }
+
+      const group = this.fields.find(f => f instanceof GroupField && f.element.contains(element));
+      let field;
+
+      if (group) {
+        field = group._addChild(element);
+      } else if ($(element).is('input, textarea, select')) {
+        field = new Field(element, this, this.options);
+      } else {
+        this.fields.filter(f => element.contains(f.element)).forEach(f => this._dropField(f));
+        field = new GroupField(element, this, this.options);
+      }
+
+      if (!group) {
+        this.fields.push(field);
+        Utils.sortByDocumentPosition(this.fields);
+      }
+
+      Utils.debug(`Form : field \`${field.__id__}\` added`);
+      this._bindDependencies();
+      this._bindSteps();
+      this._trigger('field-added', { form: this, field });
+      return field;
+    }
+
+    /**
+     * Stops validating an element (or field) and removes its messages.
+     *
+     * @param {HTMLElement|jQuery|string|Field} el
+     * @returns {boolean} true if a field was removed.
+     */
+    removeField(el) {
+      const field = this.getField(el);
+      if (!field) return false;
+
+      if (field._hasParentGroup()) {
+        field._parentGroup._removeChild(field);
+      } else {
+        this._dropField(field);
+      }
+
+      Utils.debug(`Form : field \`${field.__id__}\` removed`);
+      this._bindDependencies();
+      this._bindSteps();
+      this._trigger('field-removed', { form: this, field });
+      return true;
+    }
+
+    _dropField(field) {
+      field._neutralizeUI();
+      field.destroy();
+      this.fields = this.fields.filter(f => f !== field);
+    }
+
+    /**
+     * `observe: true` — watches the form subtree and keeps the fields in sync:
+     * added/removed elements are added/removed as fields, and a change of a
+     * `data-*`, `name`, `type` or HTML5 constraint attribute rebuilds only that
+     * field's constraints.
+     */
+    _observe() {
+      if (typeof window === 'undefined' || typeof window.MutationObserver !== 'function') {
+        Utils.warn(`Form : MutationObserver is not available, \`observe\` is ignored`);
+        return;
+      }
+      this._observer = new window.MutationObserver(records => this._onMutations(records));
+      this._observer.observe(this.element, { childList: true, subtree: true, attributes: true, attributeOldValue: false });
+    }
+
+    _unobserve() {
+      this._observer?.disconnect();
+      this._observer = null;
+    }
+
+    _isTrackedAttribute(name) {
+      return name.startsWith('data-') || name.startsWith(this.options.namespace) ||
+          name === 'name' || name === 'type' || standardValidators[name] !== undefined;
+    }
+
+    _onMutations(records) {
+      const added = new Set();
+      const changed = new Set();
+      let removed = false;
+
+      records.forEach(record => {
+        if (record.type === 'attributes') {
+          if (record.target !== this.element && this._isTrackedAttribute(record.attributeName)) changed.add(record.target);
+          return;
+        }
+        record.addedNodes.forEach(node => node.nodeType === 1 && added.add(node));
+        removed = removed || Array.from(record.removedNodes).some(node => node.nodeType === 1);
+      });
+
+      // 1) Fields whose element left the form (moved elements are still contained)
+      if (removed) {
+        const isGone = field => !this.element.contains(field.element);
+        this.fields.forEach(field => {
+          if (isGone(field)) return this.removeField(field);
+          (field.fields || []).filter(isGone).forEach(child => this.removeField(child));
+        });
+      }
+
+      // 2) New candidate elements, containers first so that they collect their own inputs
+      added.forEach(node => {
+        if (!this.element.contains(node)) return;
+        const candidates = this._getCandidateElements($(node), `:attrStartsWith(${this.options.namespace})`).toArray();
+        if (this._isCandidateElement(node)) candidates.unshift(node);
+        candidates.forEach(el => this.getField(el) || !this._isCandidateElement(el) || this._addObservedField(el));
+      });
+
+      // 3) Attribute changes: rebuild the field, or add/remove it if it (stopped) matching
+      changed.forEach(el => {
+        if (!this.element.contains(el) || added.has(el)) return;
+        const field = this.getField(el);
+        const isCandidate = this._isCandidateElement(el);
+
+        if (field && !isCandidate) this.removeField(field);
+        else if (!field && isCandidate) this._addObservedField(el);
+        else if (field) {
+          Utils.debug(`Form : attributes of \`${field.__id__}\` changed, rebuilding its constraints`);
+          field._rebuildConstraints();
+          this._bindDependencies();
+        }
+      });
+    }
+
+    // An invalid element (e.g. bad requirement) is warned and left unbound, the rest of the batch goes on
+    _addObservedField(el) {
+      try {
+        return this.addField(el);
+      } catch (error) {
+        Utils.warn(`Form : \`${Utils.getId(el)}\` is not validated: ${error.message.replace(`[${pluginName}] `, '')}`);
+        return null;
+      }
+    }
+
+    // Containers only carrying `X-step` are wizard sections, not GroupFields
+    _isStepContainer(el) {
+      if ($(el).is('input, textarea, select')) return false;
+      const stepAttr = `${this.options.namespace}step`;
+      return Array.from(el.attributes).every(attr => attr.name === stepAttr || !attr.name.startsWith(this.options.namespace));
+    }
+
+    /**
+     * Collects the steps (ordered as in the DOM) and their containers.
+     * The navigator (next/prev/goTo, one visible step at a time) is enabled when
+     * the form has `X-step` containers, or with the `steps: true` option for fieldsets.
+     */
+    _bindSteps() {
+      const previous = this.currentStep;
+      this.steps = [];
+      this._stepContainers = {};
+
+      const register = field => {
+        const container = field._resolveStepContainer();
+        field._step = container?.name ?? null;
+        if (container) {
+          if (!this._stepContainers[container.name]) {
+            this.steps.push(container.name);
+            this._stepContainers[container.name] = new Set();
+          }
+          this._stepContainers[container.name].add(container.element);
+        }
+        (field.fields || []).forEach(register);
+      };
+      this.fields.forEach(register);
+
+      this._hasNavigator = this.steps.length > 0 &&
+          (this.options.steps === true || this.$element.find(`[${this.options.namespace}step]`).length > 0);
+
+      this.currentStep = this._hasNavigator ? (this.steps.includes(previous) ? previous : this.steps[0]) : null;
+      this._renderSteps();
+    }
+
+    // Shows the current step container(s) and hides the others
+    _renderSteps() {
+      if (!this._hasNavigator) return;
+      for (const [name, containers] of Object.entries(this._stepContainers)) {
+        const isActive = name === this.currentStep;
+        $([...containers]).toggleClass(this.options.stepActiveClass, isActive).prop('hidden', !isActive);
+      }
+    }
+
+    _unbindSteps() {
+      if (!this._hasNavigator) return;
+      for (const containers of Object.values(this._stepContainers)) {
+        $([...containers]).removeClass(this.options.stepActiveClass).prop('hidden', false);
+      }
+      this._hasNavigator = false;
+    }
+
+    /**
+     * Moves to a step. Moving forward validates the current step (and any step
+     * skipped over) first; on failure the form stays on, or moves back to, the
+     * first step with an error and focuses it. Moving backward never validates.
+     *
+     * @param {string|number} step - Step name or index.
+     * @returns {Promise<boolean>} true if the target step is now the current one.
+     */
+    goTo(step) {
+      const target = typeof step === 'number' ? step : this.steps.indexOf(step);
+      const current = this.steps.indexOf(this.currentStep);
+
+      if (!this._hasNavigator || target < 0 || target >= this.steps.length) {
+        Utils.warn(`Form : unknown step \`${step}\``);
+        return Promise.resolve(false);
+      }
+
+      if (target <= current) {
+        this._setStep(target);
+        return Promise.resolve(true);
+      }
+
+      return this.whenValidate({ group: this.steps.slice(current, target) })
+          .then(() => {
+            this._setStep(target);
+            return true;
+          })
+          .catch(failedFields => {
+            this._showFirstFailedStep(failedFields);
+            return false;
+          });
+    }
+
+    next() {
+      return this.goTo(this.steps.indexOf(this.currentStep) + 1);
+    }
+
+    prev() {
+      return this.goTo(this.steps.indexOf(this.currentStep) - 1);
+    }
+
+    _setStep(index) {
+      const from = this.currentStep;
+      const to = this.steps[index];
+      if (from === to) return;
+
+      this.currentStep = to;
+      this._renderSteps();
+      this._trigger('step-change', { form: this, from, to });
+    }
+
+    // Jumps to the first step containing one of the failed fields, then focuses it
+    _showFirstFailedStep(failedFields) {
+      if (this._hasNavigator && Array.isArray(failedFields)) {
+        const failedSteps = failedFields.filter(f => f instanceof Field).map(f => f.getStep());
+        const index = this.steps.findIndex(name => failedSteps.includes(name));
+        if (index >= 0) this._setStep(index);
+      }
+      this.focus(failedFields);
+    }
+
+    /**
+     * Builds the dependency graph: referenced element → fields (group children
+     * included) whose constraints reference it through a selector requirement.
+     * Editing a referenced element re-validates its dependents.
+     */
+    _bindDependencies() {
+      this._unbindDependencies();
+      this._dependents = new Map();
+
+      const register = field => {
+        (field.fields || []).forEach(register);
+        field.getReferencedElements().forEach(el => {
+          if (!this._dependents.has(el)) this._dependents.set(el, new Set());
+          this._dependents.get(el).add(field);
+        });
+      };
+      this.fields.forEach(register);
+
+      this._onDependencyChange = evt => this._revalidateDependents(evt.currentTarget, evt);
+      $([...this._dependents.keys()]).on(Utils.namespaceEvents('input change', `${namespace}Dependency`), this._onDependencyChange);
+    }
+
+    _unbindDependencies() {
+      if (!this._dependents) return;
+      $([...this._dependents.keys()]).off(`.${namespace}Dependency`, this._onDependencyChange);
+      this._dependents = null;
+    }
+
+    // Re-validates the dependents of `element` that already displayed a result
+    _revalidateDependents(element, event) {
+      const dependents = this._dependents?.get(element);
+      if (!dependents) return;
+
+      dependents.forEach(field => {
+        if (field._lastValidationState === null) return;
+        Utils.debug(`Form : \`${Utils.getId(element)}\` changed, re-validating dependent \`${field.__id__}\``);
+        field._invalidated = true;
+        field._validateIfNeeded(event);
+      });
+    }
+
+    /**
+     * Fields of one group (step name), of several (array), or all of them.
+     */
+    _getFieldsOfGroup(group) {
+      if (group === undefined || group === null) return this.fields;
+      const groups = Utils.toArray(group);
+      return this.fields.filter(field => groups.includes(field.getStep()));
+    }
+
+    // Form
+    whenValidate({ group } = {}) {
+      this._trigger('validate');
+
+      const validations = this._getFieldsOfGroup(group).map(field => field.whenValidate());
+
+      return Utils.all(validations)
+          .then(values => {
+            this._trigger('validated');
+            return values;
+          })
+          .catch(failedFields => {
+            this._trigger('error');
+            return Promise.reject(failedFields);
+          });
+    }
+
+    validate(options) {
+      return this.whenValidate(options).then(_ => true).catch(_ => false);
+    }
+
+    focus(failedFields) {
+      // With the step navigator, only fields of the current step (or of no step) can get focus
+      if (this._hasNavigator) {
+        failedFields = failedFields.filter(f => !(f instanceof Field) || !f.getStep() || f.getStep() === this.currentStep);
+      }
+      if (!failedFields.length) return;
+
+      const firstInvalid = failedFields[0];
+      let targetEl = null;
+
+      if (firstInvalid instanceof GroupField && firstInvalid.fields.length > 0) {
+        const invalidField = firstInvalid.fields.find(f => f._isValid !== true);
+        targetEl = (invalidField || firstInvalid.fields[0]).element;
+      } else {
+        targetEl = firstInvalid.element;
+      }
+
+      if (targetEl.tagName === 'SELECT' && targetEl.selectize && targetEl.selectize instanceof Selectize) targetEl = targetEl.selectize;
 
       if (targetEl && typeof targetEl.focus === 'function') {
         //Utils.scrollIntoViewIfNeeded(targetEl);
@@ -2057,20 +3544,24 @@
       this.fields.forEach(field => field.reset());
     }
 
+    // Rebuilds every field from scratch (see `observe` / addField() to keep their state)
     refresh() {
-      const knownElements = this.fields.map(f => f.element);
-      const currentDOMElements = this._getCandidateElements(this.$element, `:attrStartsWith(${this.options.namespace})`).toArray();
-
-      this.destroy();
-      // Step 2: Re-scan and rebind fresh fields
+      this._destroyFields();
       this._bindFields();
 
       this._trigger('refreshed', { form: this });
     }
 
-    destroy() {
-      // Destroy all fields
+    _destroyFields() {
       this.fields.forEach(field => field.destroy?.());
+      this._unbindDependencies();
+      this._unbindSteps();
+      this.fields = [];
+    }
+
+    destroy() {
+      this._unobserve();
+      this._destroyFields();
 
       // Unbind form events
       this.$element.off(`.${pluginName}`);
@@ -2078,13 +3569,145 @@
       // Remove plugin instance
       this.$element.removeData(pluginName);
 
-      // Clear reference
-      this.fields = [];
+      formInstances.delete(this);
 
       this._trigger('destroy');
     }
   }
 
+  /**
+   * DataField
+   * ------------------------------------------------------------------
+   * DOM-free counterpart of Field used by `validateData()`: the constraints
+   * come from a schema entry and the value from a plain data object.
+   * It runs through the same Constraint/Validator pipeline as Field.
+   */
+  class DataField {
+    constructor(name, rules, data, options, locale) {
+      this.__id__ = this._name = name;
+      this.data = data;         // All values, so selector requirements can reference other fields
+      this.options = options;
+      this.locale = locale;
+      this.constraints = {};
+
+      // RegExp objects are accepted for `pattern` and friends
+      const attributes = {};
+      for (const [key, rule] of Object.entries(rules || {})) {
+        attributes[key] = rule instanceof RegExp ? rule.source : rule;
+      }
+
+      const { constraints, options: fieldOptions } = Constraint.collect(attributes);
+      this.domOptions = fieldOptions;
+      constraints.forEach(([constraintName, requirements]) => this.addConstraint(constraintName, requirements));
+    }
+
+    addConstraint(name, requirements) {
+      if (name === 'required' && requirements === false) return;
+      const constraint = new Constraint(this, name, requirements);
+      const customConstraintMessage = this.domOptions[`${name}Message`];
+      if (typeof customConstraintMessage === 'string' && customConstraintMessage.length) {
+        constraint.customMessage = customConstraintMessage;
+      }
+      this.constraints[name] = constraint;
+    }
+
+    getLocale() {
+      return resolveLocale(this.locale) || currentLocale;
+    }
+
+    getLanguage() {
+      return this.locale || currentLocale;
+    }
+
+    // Values are normalized the way the DOM would give them: strings (or arrays of strings)
+    getValue() {
+      const normalize = v => (v === null || v === undefined || v === false) ? ''
+          : v instanceof Date ? v.toISOString()
+              : String(v);
+      const value = this.data[this._name];
+      return Array.isArray(value) ? value.map(normalize) : normalize(value);
+    }
+
+    // File-like objects ({ name, size, type[, width, height] }) given for this key
+    getFiles() {
+      return Utils.toArray(this.data[this._name]).filter(file => file && typeof file === 'object' && 'size' in file);
+    }
+
+    /**
+     * Resolves a selector requirement against the data: `#name`, `[name=name]` or `name`.
+     * Returns undefined if the data has no such key.
+     */
+    resolveReference(selector) {
+      const match = /^(?:#([\w-]+)|\[name=(["']?)([^\]"']+)\2\])$/.exec(String(selector).trim());
+      const name = match ? (match[1] || match[3]) : selector;
+      if (!Object.prototype.hasOwnProperty.call(this.data, name)) return undefined;
+      return this.data[name] ?? '';
+    }
+
+    getValueKind() {
+      return valueKindOf(this.constraints);
+    }
+
+    _isRequired() {
+      return !!this.constraints.required;
+    }
+
+    /**
+     * @returns {Promise<ValidationError[]>} Failed constraints (empty if valid).
+     */
+    validate() {
+      const value = this.getValue();
+
+      if (!Utils.size(this.constraints) || (Utils.empty(value) && !this._isRequired())) {
+        return Promise.resolve([]);
+      }
+
+      const sorted = Object.values(this.constraints)
+          .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+      const run = this.options.stopAtFirstError ? Utils.runSequential : Utils.all;
+      const items = this.options.stopAtFirstError
+          ? sorted.map(c => () => c.validateConstraint(value))
+          : sorted.map(c => c.validateConstraint(value));
+
+      return run(items).then(() => [], errors => {
+        // Real exceptions are propagated, validation failures are returned
+        const exception = errors.find(e => !(e instanceof ValidationError));
+        return exception ? Promise.reject(exception) : errors;
+      });
+    }
+  }
+
+  /**
+   * Validates a plain data object against a schema, without any DOM.
+   *
+   * The schema maps field names to constraints, with the same names and requirements
+   * as the `data-fiddo-*` attributes (dual pairs such as min/max are merged):
+   *   { email: { required: true, type: 'email' }, age: { range: [18, 99] } }
+   *
+   * @param {object} schema - { fieldName: { constraint: requirements, ... } }
+   * @param {object} values - { fieldName: value }
+   * @param {object} [options] - { locale, stopAtFirstError }
+   * @returns {Promise<{isValid: boolean, errors: Object<string, ValidationError[]>}>}
+   *          Resolves with the failed fields; rejects on an invalid schema (e.g. bad
+   *          requirement) or an unexpected exception, never throws synchronously.
+   */
+  function validateData(schema, values = {}, options = {}) {
+    const settings = Utils._extends({}, Defaults, globalConfig, options);
+    const names = Object.keys(schema || {});
+
+    // Building the fields may throw (invalid requirement): it rejects like any other exception
+    return Promise.resolve().then(() => {
+      const fields = names.map(name => new DataField(name, schema[name], values || {}, settings, options.locale));
+      return Promise.all(fields.map(field => field.validate()));
+    }).then(results => {
+      const errors = {};
+      results.forEach((fieldErrors, i) => {
+        if (fieldErrors.length) errors[names[i]] = fieldErrors;
+      });
+      return { isValid: !Object.keys(errors).length, errors };
+    });
+  }
+
   const typeTesters = {
     number : {
       test: function (number) {
@@ -2127,7 +3750,19 @@
         "(?::\\d{2,5})?" + // resource path
         "(?:/\\S*)?" + "$"),
 
-      selector : /^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/,
+      // Any valid CSS selector (compound ones included, e.g. "#signup [name='pwd']")
+      selector : {
+        test : function (value) {
+          if (typeof value !== 'string' || !value.trim() || Utils.isNumeric(value)) return false;
+          if (typeof document === 'undefined') return /^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/.test(value.trim());
+          try {
+            document.createDocumentFragment().querySelector(value);
+            return true;
+          } catch (e) {
+            return false;
+          }
+        }
+      },
       regexp: {
         test : function (value) {
           try {
@@ -2142,9 +3777,639 @@
       digits: /^\d+$/,
       alphanum: /^\w+$/i,
 
+      // Every selected file is non-empty (input type="file")
+      file: {
+        test : (value, field) => filesOf(field).every(file => file.size > 0)
+      },
+      // Every selected file is an image (MIME type, or extension when the browser gives none)
+      image: {
+        test : (value, field) => filesOf(field).every(isImageFile)
+      },
+
+      // Requirement types of the file validators: "2MB", "500 KB", 1024 (bytes) / "800x600", "800"
+      filesize: {
+        test : value => parseFileSize(value) !== null
+      },
+      dimensions: {
+        test : value => parseDimensions(value) !== null
+      },
+
   };
   typeTesters.range = typeTesters.number; //// See http://stackoverflow.com/a/10454560/8279
 
+  /**
+   * Kind of value a field holds, from its constraints and input type:
+   * { kind: 'date', format }, { kind: 'number' } or {} for plain strings.
+   */
+  function valueKindOf(constraints, inputType = '') {
+    const type = String(inputType).toLowerCase();
+    const declaredType = constraints.type?.requirements;
+
+    if (constraints.date) return { kind: 'date', format: typeof constraints.date.requirements === 'string' ? constraints.date.requirements : undefined };
+    if (type === 'date') return { kind: 'date', format: 'YYYY-MM-DD' };
+    if (type === 'datetime-local') return { kind: 'date', format: 'YYYY-MM-DDTHH:mm' };
+    if (type === 'time') return { kind: 'date', format: 'HH:mm' };
+    if (type === 'number' || type === 'range' || ['number', 'integer', 'digits'].includes(declaredType)) return { kind: 'number' };
+    return {};
+  }
+
+  /**
+   * Compares a value with a requirement that is either a literal or a selector
+   * referencing another field. The kind comes from the field (type, date format);
+   * otherwise numeric literals, and numeric references in ordering checks (gt, lt...),
+   * compare as numbers, and anything else as strings.
+   *
+   * @returns {number} Comparator result (see Utils.compareValues).
+   */
+  function compareToRequirement(value, requirement, field, ordering = false) {
+    let isReference = !Utils.isNumeric(requirement) && typeTesters.selector.test(requirement);
+    let other = isReference ? (field ? field.resolveReference(requirement) : $(requirement).val()) : requirement;
+
+    // Nothing matched the "selector" → it was a literal string after all (e.g. equalto="yes")
+    if (other === undefined) {
+      isReference = false;
+      other = requirement;
+    }
+    const { kind, format } = field?.getValueKind ? field.getValueKind() : {};
+
+    const resolvedKind = kind ||
+        ((!isReference || ordering) && Utils.isNumeric(value) && Utils.isNumeric(other) ? 'number' : 'string');
+
+    return Utils.compareValues(value, other, resolvedKind, format);
+  }
+
+  /**
+   * Condition language of validate-if / not-validate-if, evaluated without eval():
+   *
+   *   condition  := or
+   *   or         := and (('||' | 'or') and)*
+   *   and        := not (('&&' | 'and') not)*
+   *   not        := ('!' | 'not') not | comparison
+   *   comparison := operand (('==' | '!=' | '>' | '>=' | '<' | '<=') operand | 'not'? 'in' list)?
+   *   list       := '(' operand (',' operand)* ')'
+   *   operand    := selector | 'string' | "string" | number | true | false | null | '(' or ')'
+   *
+   * A selector (`#id`, `.class`, `[name=x]`, with pseudo-classes like `:checked`) reads
+   * the value of the matched field: checked values for checkboxes/radios, `.val()` otherwise.
+   * Alone, it is true for a checked checkbox or a non-empty value. Numeric strings compare
+   * as numbers, anything else as strings; a multi-valued side matches if any value does.
+   */
+  const conditionTokenRegex = new RegExp([
+    /\s*/.source,
+    '(?:',
+    /(\|\||&&|==|!=|>=|<=|>|<|!|\(|\)|,)/.source,                       // 1: punctuation and operators
+    /|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/.source,                    // 2: strings
+    /|(-?\d+(?:\.\d+)?)(?![\w#.[])/.source,                             // 3: numbers
+    /|((?:[a-zA-Z][\w-]*)?(?:[#.][\w-]+|\[[^\]]*\])+(?::[\w-]+(?:\([^)]*\))?)*)/.source, // 4: selectors
+    /|([a-zA-Z_$][\w$-]*(?::[\w-]+(?:\([^)]*\))?)*)/.source,            // 5: words (keywords, tags, functions)
+    ')'
+  ].join(''), 'y');
+
+  function tokenizeCondition(source, fail) {
+    const tokens = [];
+    conditionTokenRegex.lastIndex = 0;
+
+    while (conditionTokenRegex.lastIndex < source.length) {
+      const start = conditionTokenRegex.lastIndex;
+      if (!source.slice(start).trim()) break;
+
+      const match = conditionTokenRegex.exec(source);
+      if (!match) fail(`unexpected "${source.slice(start).trim()[0]}"`, source.length - source.slice(start).trimStart().length);
+
+      const pos = match.index + match[0].length - match[0].trimStart().length;
+      if (match[1]) tokens.push({ type: 'op', value: match[1], pos });
+      else if (match[2]) tokens.push({ type: 'value', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1'), pos });
+      else if (match[3]) tokens.push({ type: 'value', value: parseFloat(match[3]), pos });
+      else if (match[4]) tokens.push({ type: 'selector', value: match[4], pos });
+      else {
+        const word = match[5];
+        const keyword = word.toLowerCase();
+        if (['and', 'or', 'not', 'in'].includes(keyword)) tokens.push({ type: 'op', value: keyword, pos });
+        else if (['true', 'false', 'null'].includes(keyword)) tokens.push({ type: 'value', value: JSON.parse(keyword), pos });
+        else tokens.push({ type: 'word', value: word, pos });
+      }
+    }
+    return tokens;
+  }
+
+  // Value of the field(s) matched by a condition selector
+  function readConditionValue(selector) {
+    const $target = $(selector);
+    if (!$target.length) return '';
+    if ($target.is(':checkbox, :radio')) {
+      const values = $target.filter(':checked').map((i, el) => el.value).get();
+      return $target.length === 1 || $target.is(':radio') ? (values[0] ?? '') : values;
+    }
+    return $target.val() ?? '';
+  }
+
+  const conditionTruthy = value => Array.isArray(value) ? value.length > 0 : !!value;
+
+  function conditionCompare(a, b, operator) {
+    if (Array.isArray(a)) return a.some(v => conditionCompare(v, b, operator));
+    if (Array.isArray(b)) return b.some(v => conditionCompare(a, v, operator));
+
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+      const equal = conditionTruthy(a) === conditionTruthy(b);
+      return operator === '==' ? equal : operator === '!=' ? !equal : false;
+    }
+
+    const toNumber = v => typeof v === 'number' ? v : Utils.isNumeric(v) ? parseFloat(v) : NaN;
+    const numeric = !isNaN(toNumber(a)) && !isNaN(toNumber(b));
+    const left = numeric ? toNumber(a) : String(a ?? '');
+    const right = numeric ? toNumber(b) : String(b ?? '');
+
+    switch (operator) {
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case '>':  return left > right;
+      case '>=': return left >= right;
+      case '<':  return left < right;
+      case '<=': return left <= right;
+    }
+  }
+
+  /**
+   * Compiles a condition (string, function or boolean) into
+   * `{ source, evaluate(field) → boolean, selectors }` (null when empty), `selectors` being what the
+   * condition reads (pseudo-classes removed) so that dependents can be re-evaluated.
+   * Throws on syntax errors, unless `allowUnsafe` lets raw JavaScript through
+   * (fields catch it, see `Field._bindConditions`).
+   */
+  function compileCondition(condition, { allowUnsafe = false, owner = 'condition' } = {}) {
+    if (typeof condition === 'function') {
+      return { source: condition.name || 'function', selectors: [], evaluate: field => !!condition.call(field, field) };
+    }
+    if (typeof condition !== 'string') {
+      return { source: String(condition), selectors: [], evaluate: () => conditionTruthy(condition) };
+    }
+
+    const source = condition.trim();
+    if (!source) return null; // empty attribute: no condition
+    const selectors = new Set();
+    const fail = (message, pos) => {
+      throw new Error(`[${pluginName}] Invalid condition in ${owner}: ${message} at position ${pos} in "${source}"`);
+    };
+
+    let evaluate;
+    try {
+      const tokens = tokenizeCondition(source, fail);
+      let index = 0;
+
+      const peek = () => tokens[index];
+      const failAt = (message, token = peek()) => fail(message, token ? token.pos : source.length);
+      const accept = (...values) => {
+        const token = peek();
+        if (token && token.type === 'op' && values.includes(token.value)) return tokens[index++];
+        return null;
+      };
+      const expect = value => accept(value) || failAt(peek() ? `expected "${value}", got "${peek().value}"` : `expected "${value}"`);
+
+      const parseOperand = () => {
+        const token = tokens[index++];
+        if (!token) return failAt('unexpected end of condition', undefined);
+
+        if (token.type === 'value') return () => token.value;
+        if (token.type === 'selector') {
+          selectors.add(token.value.replace(/(?::[\w-]+(?:\([^)]*\))?)+$/, '') || token.value);
+          return () => readConditionValue(token.value);
+        }
+        if (token.type === 'word') {
+          // Global function name (called with the field), or a tag selector
+          const name = token.value;
+          if (typeTesters.selector.test(name)) selectors.add(name.replace(/(?::[\w-]+(?:\([^)]*\))?)+$/, ''));
+          return field => typeof window !== 'undefined' && typeof window[name] === 'function'
+              ? window[name](field)
+              : readConditionValue(name);
+        }
+        if (token.value === '(') {
+          const inner = parseOr();
+          expect(')');
+          return inner;
+        }
+        return failAt(`unexpected "${token.value}"`, token);
+      };
+
+      const parseList = () => {
+        expect('(');
+        const items = [parseOperand()];
+        while (accept(',')) items.push(parseOperand());
+        expect(')');
+        return items;
+      };
+
+      const parseComparison = () => {
+        const left = parseOperand();
+        const operator = accept('==', '!=', '>', '>=', '<', '<=');
+        if (operator) {
+          const right = parseOperand();
+          return field => conditionCompare(left(field), right(field), operator.value);
+        }
+
+        const negated = peek()?.value === 'not' && tokens[index + 1]?.value === 'in' ? (index++, true) : false;
+        if (accept('in')) {
+          const items = parseList();
+          return field => {
+            const value = left(field);
+            const found = items.some(item => conditionCompare(value, item(field), '=='));
+            return negated ? !found : found;
+          };
+        }
+        return field => conditionTruthy(left(field));
+      };
+
+      const parseNot = () => accept('!', 'not') ? (operand => field => !operand(field))(parseNot()) : parseComparison();
+
+      const parseAnd = () => {
+        let left = parseNot();
+        while (accept('&&', 'and')) {
+          const l = left, right = parseNot();
+          left = field => l(field) && right(field);
+        }
+        return left;
+      };
+
+      const parseOr = () => {
+        let left = parseAnd();
+        while (accept('||', 'or')) {
+          const l = left, right = parseAnd();
+          left = field => l(field) || right(field);
+        }
+        return left;
+      };
+
+      const root = parseOr();
+      if (index < tokens.length) failAt(`unexpected "${peek().value}"`);
+      evaluate = field => !!root(field);
+
+    } catch (e) {
+      if (!allowUnsafe) throw e;
+      // Explicit opt-in: legacy JavaScript expressions (needs 'unsafe-eval', no dependency tracking)
+      Utils.debug(`Condition "${source}" is not in the condition language, evaluating it as JavaScript`);
+      const fn = Function('"use strict";return (' + source + ')');
+      return { source, selectors: [], evaluate: () => !!fn() };
+    }
+
+    return { source, selectors: [...selectors], evaluate };
+  }
+
+  // Date format of a field (see valueKindOf); undefined → default format + ISO
+  function dateFormatOf(field) {
+    const { kind, format } = field?.getValueKind ? field.getValueKind() : {};
+    return kind === 'date' ? format : undefined;
+  }
+
+  /**
+   * Resolves a date bound: relative expression, selector of another field
+   * (null while it is empty), or an absolute date in the field's format or ISO.
+   */
+  function resolveDateBound(requirement, field) {
+    if (requirement instanceof Date) return requirement;
+    const text = String(requirement ?? '').trim();
+    if (!text) return null;
+
+    const relative = Utils.parseRelativeDate(text);
+    if (relative) return relative;
+
+    const format = dateFormatOf(field);
+    const locale = field?.getLanguage?.();
+    let value = text;
+
+    if (typeTesters.selector.test(text) && field?.resolveReference) {
+      const other = field.resolveReference(text);
+      if (other !== undefined) value = String(other ?? '').trim();
+      if (!value) return null;
+    }
+    return Utils.parseDateWithFormat(value, format, locale) || Utils.parseDateWithFormat(value, undefined, locale);
+  }
+
+  // Unparsable values fail; an unresolved bound (empty referenced field) passes
+  function compareToDateBound(value, requirement, field, accepts) {
+    const date = Utils.parseDateWithFormat(String(value ?? ''), dateFormatOf(field), field?.getLanguage?.());
+    if (!date) return false;
+    const bound = resolveDateBound(requirement, field);
+    return !bound || accepts(date.getTime() - bound.getTime());
+  }
+
+  function currentDateBound(field) {
+    return Utils.hasTimeTokens(dateFormatOf(field)) ? 'now' : 'today';
+  }
+
+  // Bound as the user would type it: in the field's format (`T` of native values shown as a space)
+  function formatDateBound(requirement, field) {
+    const bound = resolveDateBound(requirement, field);
+    const format = (dateFormatOf(field) || '').replace(/^(YYYY-MM-DD)T/, '$1 ');
+    return bound ? Utils.formatDate(bound, format, field?.getLanguage?.()) : requirement;
+  }
+
+  // Time part of the field's format, or HH:mm
+  function timeFormatOf(field) {
+    const format = dateFormatOf(field);
+    const time = Utils.hasTimeTokens(format) && /[Hh]{1,2}.*?m{1,2}(?:.*?s{1,2})?(?:\s*[Aa])?/.exec(format);
+    return time ? time[0] : 'HH:mm';
+  }
+
+  // Seconds since midnight of a time value (or of a date-time written in the field's format)
+  function secondsOfDay(value, field) {
+    const locale = field?.getLanguage?.();
+    const text = String(value ?? '').trim();
+    const date = Utils.parseDateWithFormat(text, timeFormatOf(field), locale) ||
+        Utils.parseDateWithFormat(text, dateFormatOf(field), locale);
+    return date ? date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds() : null;
+  }
+
+  function resolveTimeBound(requirement, field) {
+    const text = String(requirement ?? '').trim();
+    if (!text) return null;
+
+    const relative = /^now/i.test(text) ? Utils.parseRelativeDate(text) : null;
+    if (relative) return relative.getHours() * 3600 + relative.getMinutes() * 60 + relative.getSeconds();
+
+    if (typeTesters.selector.test(text) && field?.resolveReference) {
+      const other = field.resolveReference(text);
+      if (other !== undefined) return String(other ?? '').trim() ? secondsOfDay(other, field) : null;
+    }
+    return secondsOfDay(text, field);
+  }
+
+  function compareToTimeBound(value, requirement, field, accepts) {
+    const seconds = secondsOfDay(value, field);
+    if (seconds === null) return false;
+    const bound = resolveTimeBound(requirement, field);
+    return bound === null || accepts(seconds - bound);
+  }
+
+  function formatTimeBound(requirement, field) {
+    const bound = resolveTimeBound(requirement, field);
+    if (bound === null) return requirement;
+    const date = new Date(1970, 0, 1, Math.floor(bound / 3600), Math.floor(bound / 60) % 60, bound % 60);
+    return Utils.formatDate(date, timeFormatOf(field), field?.getLanguage?.());
+  }
+
+  // Files selected in a field: FileList of a file input, or file-like objects ({ name, size, type }) with validateData()
+  function filesOf(field) {
+    return field?.getFiles ? field.getFiles() : [];
+  }
+
+  function isImageFile(file) {
+    return /^image\//i.test(file.type || '') ||
+        (!file.type && /\.(apng|avif|bmp|gif|ico|jpe?g|png|svg|tiff?|webp)$/i.test(file.name || ''));
+  }
+
+  // "2MB", "1.5 GB", "500 kb", "1024" → bytes (units are powers of 1024), or null
+  function parseFileSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?i?b?)?\s*$/i.exec(String(value ?? ''));
+    if (!match) return null;
+    const power = ' kmgt'.indexOf((match[2] || ' ')[0].toLowerCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, Math.max(power, 0)));
+  }
+
+  // "800x600" → { width: 800, height: 600 }, "800x" → width only, "x600" → height only, "800" → both
+  function parseDimensions(value) {
+    const match = /^\s*(\d*)\s*(?:[x×]\s*(\d*))?\s*$/i.exec(String(value ?? ''));
+    if (!match || (!match[1] && !match[2])) return null;
+    const width = match[1] ? parseInt(match[1], 10) : null;
+    const height = match[2] === undefined ? width : (match[2] ? parseInt(match[2], 10) : null);
+    return { width, height };
+  }
+
+  // Same matching rules as the `accept` attribute: extensions, exact MIME types and "type/*"
+  function acceptsFile(accept, file) {
+    const tokens = Utils.toArray(accept).join(',').split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+    const name = (file.name || '').toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    return !tokens.length || tokens.some(token =>
+        token.startsWith('.') ? name.endsWith(token)
+            : token.endsWith('/*') ? type.startsWith(token.slice(0, -1))
+                : type === token);
+  }
+
+  // Decoded image sizes, per File
+  const imageSizes = new WeakMap();
+
+  function readImageSize(file) {
+    if (file.width !== undefined && file.height !== undefined) {
+      return Promise.resolve({ width: file.width, height: file.height }); // file-like objects (validateData)
+    }
+    if (imageSizes.has(file)) return imageSizes.get(file);
+
+    const promise = new Promise((resolve, reject) => {
+      if (typeof window === 'undefined' || !window.URL?.createObjectURL || typeof window.Image !== 'function') {
+        return reject(new Error('Images cannot be decoded in this environment'));
+      }
+      const url = window.URL.createObjectURL(file);
+      const image = new window.Image();
+      image.onload = () => {
+        window.URL.revokeObjectURL(url);
+        resolve({ width: image.naturalWidth, height: image.naturalHeight });
+      };
+      image.onerror = () => {
+        window.URL.revokeObjectURL(url);
+        reject(new Error(`"${file.name}" is not a readable image`));
+      };
+      image.src = url;
+    });
+    imageSizes.set(file, promise);
+    return promise;
+  }
+
+  // Resolves when every selected image fits the bound, rejects (→ validator message) otherwise
+  function checkImageDimensions(field, requirement, fits) {
+    const bound = parseDimensions(requirement);
+    return Promise.all(filesOf(field).map(readImageSize)).then(sizes => {
+      const valid = sizes.every(size =>
+          (bound.width === null || fits(size.width, bound.width)) &&
+          (bound.height === null || fits(size.height, bound.height)));
+      if (!valid) return Promise.reject();
+    }, () => Promise.reject());
+  }
+
+  // Requirement of a list validator: Validator.validate spreads an array requirement
+  // into the arguments, the field coming last → the list back (or the single value)
+  function requirementList(args) {
+    const list = args.slice(0, -1);
+    return list.length <= 1 ? list[0] : list;
+  }
+
+  // Optional country/brand restriction of a requirement: "" / true → none, "CH,DE" or ["CH", "DE"] → list
+  function restrictionList(requirement) {
+    if (requirement === true || requirement === '' || requirement === null || requirement === undefined) return null;
+    return Utils.toArray(Array.isArray(requirement) ? requirement : String(requirement).split(','))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean);
+  }
+
+  // checkRequirement of a restriction: every listed entry must be one of the keys of `known`
+  function checkRestrictionList(known, what) {
+    const names = Object.keys(known).map(name => name.toLowerCase());
+    return requirement => {
+      const unknown = (restrictionList(requirement) || []).filter(item => !names.includes(item));
+      return unknown.length ? `unknown ${what} "${unknown.join('", "')}"` : null;
+    };
+  }
+
+  function luhnChecksum(digits) {
+    let sum = 0;
+    for (let i = digits.length - 1, double = false; i >= 0; i--, double = !double) {
+      let digit = +digits[i];
+      if (double && (digit *= 2) > 9) digit -= 9;
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Remainder of a big number (letters count as 10..35, as in ISO 13616 / ISO 7064) modulo 97
+  function mod97(value) {
+    const digits = value.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+      remainder = parseInt(String(remainder) + digits.slice(i, i + 7), 10) % 97;
+    }
+    return remainder;
+  }
+
+  // IBAN length per country (SWIFT IBAN registry)
+  const ibanLengths = {
+    AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, BY: 28, CH: 21, CR: 22,
+    CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22,
+    GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30,
+    KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31,
+    MU: 30, NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24,
+    SI: 19, SK: 24, SM: 27, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+  };
+
+  function isValidIban(value, countries) {
+    const iban = String(value).replace(/[\s-]/g, '').toUpperCase();
+    const country = iban.slice(0, 2);
+    const allowed = restrictionList(countries);
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || ibanLengths[country] !== iban.length) return false;
+    if (allowed && !allowed.includes(country.toLowerCase())) return false;
+    return mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+  }
+
+  // Card brands by number prefix and length
+  const creditCardBrands = {
+    visa:       /^4(\d{12}|\d{15}|\d{18})$/,
+    mastercard: /^(5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}$/,
+    amex:       /^3[47]\d{13}$/,
+    discover:   /^(6011|65\d{2}|64[4-9]\d)\d{12,15}$/,
+    diners:     /^3(0[0-5]|[68]\d)\d{11,16}$/,
+    jcb:        /^35(2[89]|[3-8]\d)\d{12,15}$/,
+    unionpay:   /^62\d{14,17}$/,
+    maestro:    /^(5[06-9]|6\d)\d{10,17}$/
+  };
+
+  function isValidCreditCard(value, brands) {
+    const number = String(value).replace(/[\s-]/g, '');
+    const allowed = restrictionList(brands);
+
+    if (!/^\d{12,19}$/.test(number) || !luhnChecksum(number)) return false;
+    return !allowed || allowed.some(brand => creditCardBrands[brand]?.test(number));
+  }
+
+  // Weighted sum of the leading digits
+  const weightedSum = (digits, weights) => weights.reduce((sum, weight, i) => sum + weight * +digits[i], 0);
+
+  /**
+   * EU VAT numbers (with their country prefix): format, and check digit where the
+   * algorithm is public and stable. Other countries are checked on format only.
+   */
+  const euVatRules = {
+    AT: { format: /^U\d{8}$/, check: n => {
+        const sum = [...n.slice(1, 8)].reduce((acc, d, i) => {
+          const p = i % 2 ? +d * 2 : +d;
+          return acc + Math.floor(p / 10) + (p % 10);
+        }, 0);
+        return (10 - (sum + 4) % 10) % 10 === +n[8];
+      } },
+    BE: { format: /^[01]\d{9}$/, check: n => 97 - (+n.slice(0, 8) % 97) === +n.slice(8) },
+    BG: { format: /^\d{9,10}$/ },
+    CY: { format: /^\d{8}[A-Z]$/ },
+    CZ: { format: /^\d{8,10}$/ },
+    DE: { format: /^\d{9}$/, check: n => {
+        let product = 10;
+        for (let i = 0; i < 8; i++) {
+          const sum = (+n[i] + product) % 10 || 10;
+          product = (2 * sum) % 11;
+        }
+        return (11 - product) % 10 === +n[8];
+      } },
+    DK: { format: /^\d{8}$/, check: n => weightedSum(n, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0 },
+    EE: { format: /^\d{9}$/ },
+    EL: { format: /^\d{9}$/, check: n => weightedSum(n, [256, 128, 64, 32, 16, 8, 4, 2]) % 11 % 10 === +n[8] },
+    ES: { format: /^[A-Z0-9]\d{7}[A-Z0-9]$/ },
+    FI: { format: /^\d{8}$/, check: n => {
+        const remainder = weightedSum(n, [7, 9, 10, 5, 8, 4, 2]) % 11;
+        return remainder !== 1 && (remainder ? 11 - remainder : 0) === +n[7];
+      } },
+    FR: { format: /^[A-HJ-NP-Z0-9]{2}\d{9}$/, check: n => !/^\d{2}/.test(n) || (12 + 3 * (+n.slice(2) % 97)) % 97 === +n.slice(0, 2) },
+    HR: { format: /^\d{11}$/ },
+    HU: { format: /^\d{8}$/ },
+    IE: { format: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/ },
+    IT: { format: /^\d{11}$/, check: n => luhnChecksum(n) },
+    LT: { format: /^(\d{9}|\d{12})$/ },
+    LU: { format: /^\d{8}$/, check: n => +n.slice(0, 6) % 89 === +n.slice(6) },
+    LV: { format: /^\d{11}$/ },
+    MT: { format: /^\d{8}$/ },
+    NL: { format: /^\d{9}B\d{2}$/, check: n => {
+        const remainder = weightedSum(n, [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+        return (remainder !== 10 && remainder === +n[8]) || mod97(`NL${n}`) === 1; // sole proprietors since 2020
+      } },
+    PL: { format: /^\d{10}$/, check: n => weightedSum(n, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === +n[9] },
+    PT: { format: /^\d{9}$/, check: n => {
+        const digit = 11 - weightedSum(n, [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+        return (digit > 9 ? 0 : digit) === +n[8];
+      } },
+    RO: { format: /^\d{2,10}$/ },
+    SE: { format: /^\d{10}01$/, check: n => luhnChecksum(n.slice(0, 10)) },
+    SI: { format: /^\d{8}$/ },
+    SK: { format: /^\d{10}$/, check: n => +n % 11 === 0 },
+    XI: { format: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/ }
+  };
+
+  function isValidEuVatin(value, countries) {
+    const vat = String(value).replace(/[\s.-]/g, '').toUpperCase();
+    const country = vat.slice(0, 2);
+    const number = vat.slice(2);
+    const rule = euVatRules[country];
+    const allowed = restrictionList(countries);
+
+    if (!rule || !rule.format.test(number)) return false;
+    if (allowed && !allowed.includes(country.toLowerCase())) return false;
+    return !rule.check || rule.check(number);
+  }
+
+  // passwordstrength levels; a rules object can be given instead (missing rules are not checked)
+  const passwordStrengthLevels = {
+    1: { minlength: 8 },
+    2: { minlength: 8, lower: 1, upper: 1, digit: 1 },
+    3: { minlength: 10, lower: 1, upper: 1, digit: 1, symbol: 1 },
+    4: { minlength: 12, lower: 1, upper: 1, digit: 2, symbol: 2 }
+  };
+
+  const passwordCharClasses = {
+    lower: /\p{Ll}/gu,
+    upper: /\p{Lu}/gu,
+    digit: /\p{Nd}/gu,
+    symbol: /[^\p{L}\p{Nd}\s]/gu
+  };
+
+  function isStrongPassword(value, requirement) {
+    const rules = typeof requirement === 'object' && requirement !== null
+        ? requirement
+        : passwordStrengthLevels[requirement === true || requirement === '' ? 2 : requirement];
+    if (!rules) throw new Error(`[${pluginName}] passwordstrength: unknown level "${requirement}"`);
+
+    const password = String(value);
+    if (rules.minlength && [...password].length < rules.minlength) return false;
+    if (rules.maxrepeat && new RegExp(`(.)\\1{${rules.maxrepeat}}`, 'u').test(password)) return false;
+
+    return Object.entries(passwordCharClasses).every(([name, regex]) =>
+        !rules[name] || (password.match(regex) || []).length >= rules[name]);
+  }
+
   const standardValidators = {
 
     required: {
@@ -2212,44 +4477,44 @@
       priority: 51,
     },
 
-    // Equal to another value (can be a selector)
+    // Equal to another value (can be a selector), compared by kind (string, number, date)
     equalto: {
-      validate: (value, ref) => parseFloat(value) == Utils.parseFloatRequirement(ref),
+      validate: (value, ref, field) => compareToRequirement(value, ref, field) === 0,
       requirementType: 'number|selector',
       priority: 40,
     },
 
     // Not equal to another value
     notequalto: {
-      validate: (value, ref) => parseFloat(value) != Utils.parseFloatRequirement(ref),
+      validate: (value, ref, field) => compareToRequirement(value, ref, field) !== 0,
       requirementType: 'number|selector',
       priority: 40,
     },
 
     // Greater than another value
     gt: {
-      validate: (value, min) => parseFloat(value) > Utils.parseFloatRequirement(min),
+      validate: (value, min, field) => compareToRequirement(value, min, field, true) > 0,
       requirementType: 'number|selector',
       priority: 40,
     },
 
     // Greater than or equal to
     gte: {
-      validate: (value, min) => parseFloat(value) >= Utils.parseFloatRequirement(min),
+      validate: (value, min, field) => compareToRequirement(value, min, field, true) >= 0,
       requirementType: 'number|selector',
       priority: 40,
     },
 
     // Less than another value
     lt: {
-      validate: (value, max) => parseFloat(value) < Utils.parseFloatRequirement(max),
+      validate: (value, max, field) => compareToRequirement(value, max, field, true) < 0,
       requirementType: 'number|selector',
       priority: 40,
     },
 
     // Less than or equal to
     lte: {
-      validate: (value, max) => parseFloat(value) <= Utils.parseFloatRequirement(max),
+      validate: (value, max, field) => compareToRequirement(value, max, field, true) <= 0,
       requirementType: 'number|selector',
       priority: 40,
     },
@@ -2276,25 +4541,143 @@
     },
 
     date: {
-      validate: function (value, format) {
+      validate: function (value, format, field) {
         if (!value.trim()) return true;
-        return Utils.parseDateWithFormat(value.trim(), format) !== null;
+        return Utils.parseDateWithFormat(value.trim(), format, field?.getLanguage?.()) !== null;
       },
       priority: 60,
     },
 
+    // Date bounds: absolute ("2025-01-31" or in the field's format), selector ("#start") or relative ("today+30d", "-18y")
+    datemin: {
+      validate: (value, min, field) => compareToDateBound(value, min, field, diff => diff >= 0),
+      messageParameters: (min, field) => formatDateBound(min, field),
+      priority: 55,
+    },
+
+    datemax: {
+      validate: (value, max, field) => compareToDateBound(value, max, field, diff => diff <= 0),
+      messageParameters: (max, field) => formatDateBound(max, field),
+      priority: 55,
+    },
+
+    daterange: {
+      validate: (value, min, max, field) =>
+          compareToDateBound(value, min, field, diff => diff >= 0) && compareToDateBound(value, max, field, diff => diff <= 0),
+      messageParameters: ([min, max], field) => [formatDateBound(min, field), formatDateBound(max, field)],
+      dual: '[datemin,datemax]',
+      priority: 56,
+    },
+
+    // Not after today (now, if the format has a time)
+    datepast: {
+      validate: (value, flag, field) => compareToDateBound(value, currentDateBound(field), field, diff => diff <= 0),
+      priority: 55,
+    },
+
+    datefuture: {
+      validate: (value, flag, field) => compareToDateBound(value, currentDateBound(field), field, diff => diff >= 0),
+      priority: 55,
+    },
+
+    // Time of day bounds: "09:30", a selector or "now" (+/- hours)
+    timemin: {
+      validate: (value, min, field) => compareToTimeBound(value, min, field, diff => diff >= 0),
+      messageParameters: (min, field) => formatTimeBound(min, field),
+      priority: 55,
+    },
+
+    timemax: {
+      validate: (value, max, field) => compareToTimeBound(value, max, field, diff => diff <= 0),
+      messageParameters: (max, field) => formatTimeBound(max, field),
+      priority: 55,
+    },
+
+    // File inputs: size of every selected file (e.g. "2MB")
+    maxfilesize: {
+      validate: (value, max, field) => filesOf(field).every(file => file.size <= parseFileSize(max)),
+      requirementType: 'filesize',
+      priority: 50,
+    },
+
+    minfilesize: {
+      validate: (value, min, field) => filesOf(field).every(file => file.size >= parseFileSize(min)),
+      requirementType: 'filesize',
+      priority: 50,
+    },
+
+    // Allowed types, same syntax as the native `accept` attribute: "image/*,.pdf,application/zip" (or a list)
+    accept: {
+      validate: (value, ...args) => filesOf(args[args.length - 1]).every(file => acceptsFile(requirementList(args), file)),
+      priority: 55,
+    },
+
+    // Maximum number of selected files
+    maxfiles: {
+      validate: (value, max, field) => filesOf(field).length <= parseInt(max, 10),
+      requirementType: 'integer',
+      priority: 55,
+    },
+
+    // Image dimensions (async: the images are decoded), e.g. "800x600", "800x" (width only)
+    mindimensions: {
+      validate: (value, min, field) => checkImageDimensions(field, min, (size, bound) => size >= bound),
+      requirementType: 'dimensions',
+      priority: 10,
+    },
+
+    maxdimensions: {
+      validate: (value, max, field) => checkImageDimensions(field, max, (size, bound) => size <= bound),
+      requirementType: 'dimensions',
+      priority: 10,
+    },
+
+    // IBAN: country length + mod-97 checksum; optionally restricted to countries ("CH,DE")
+    iban: {
+      validate: (value, ...args) => isValidIban(value, requirementList(args)),
+      checkRequirement: checkRestrictionList(ibanLengths, 'country'),
+      priority: 45,
+    },
+
+    // Card number: Luhn checksum; optionally restricted to brands ("visa,mastercard")
+    creditcard: {
+      validate: (value, ...args) => isValidCreditCard(value, requirementList(args)),
+      checkRequirement: checkRestrictionList(creditCardBrands, 'brand'),
+      priority: 45,
+    },
+
+    // EU VAT number with its country prefix: format + checksum; optionally restricted to countries
+    euvatin: {
+      validate: (value, ...args) => isValidEuVatin(value, requirementList(args)),
+      checkRequirement: checkRestrictionList(euVatRules, 'country'),
+      priority: 45,
+    },
+
+    // Level (1-4, see passwordStrengthLevels) or rules object, e.g. {minlength: 12, upper: 1, symbol: 1}
+    passwordstrength: {
+      validate: (value, rules) => isStrongPassword(value, rules),
+      checkRequirement: rules => (rules !== null && typeof rules === 'object') ||
+          passwordStrengthLevels[rules === true || rules === '' ? 2 : rules]
+          ? null
+          : `unknown level "${rules}" (1-4, or a rules object)`,
+      priority: 45,
+    },
+
     type: {
-      validate: (value, type) => {
+      validate: (value, type, field) => {
         const tester = typeTesters[type];
         if (!tester || typeof tester.test !== 'function') {
           throw new Error(`[${pluginName}] Unknown requirement type "${type}" in validator.`);
         }
-        return tester.test(value);
+        return tester.test(value, field);
       },
       priority: 70,
     }
   };
 
+  // The native `accept` attribute and its explicit alias share the same logic
+  standardValidators.mimetype = standardValidators.accept;
+
   const dualValidators = (() => {
     const duals = {};
 
@@ -2310,47 +4693,65 @@
     return duals;
   })();
 
-  $.fn[namespace] = function (options) {
-    const instances = [];
+  if ($) {
+    $.fn[namespace] = function (options) {
+      const instances = [];
 
-    this.each(function () {
+      this.each(function () {
 
-      // Ensure the element is a FORM tag
-      if (!this.tagName || this.tagName.toLowerCase() !== 'form') {
-        throw new Error(`[${pluginName}] Initialization must be called on a <form> element.`);
-      }
+        // Ensure the element is a FORM tag
+        if (!this.tagName || this.tagName.toLowerCase() !== 'form') {
+          throw new Error(`[${pluginName}] Initialization must be called on a <form> element.`);
+        }
 
-      let instance = $(this).data(pluginName);
-      if (!instance) {
-        instance = new Form(this, $.extend(true, {}, Defaults, globalConfig, options));
-        $(this).data(pluginName, instance);
-      } else if (options === true)
-        instance.reset(); // reset
-      instances.push(instance);
-    });
+        let instance = $(this).data(pluginName);
+        if (!instance) {
+          instance = new Form(this, $.extend(true, {}, Defaults, globalConfig, options));
+          $(this).data(pluginName, instance);
+        } else if (options === true)
+          instance.reset(); // reset
+        instances.push(instance);
+      });
 
-    // Return the instance directly if only one element was passed
-    return instances.length === 1 ? instances[0] : instances;
-  };
+      // Return the instance directly if only one element was passed
+      return instances.length === 1 ? instances[0] : instances;
+    };
 
-  // auto-bind
-  if (globalConfig.autoBind !== false && globalConfig.namespace) {
-      $(function () {
-          const $forms = $(`[${globalConfig.namespace}validate]`);
-          if ($forms.length && typeof $.fn[namespace] === 'function') {
-            $forms[namespace]();
-            }
-      });
+    // auto-bind
+    if (globalConfig.autoBind !== false && globalConfig.namespace) {
+        $(function () {
+            const $forms = $(`[${globalConfig.namespace}validate]`);
+            if ($forms.length && typeof $.fn[namespace] === 'function') {
+              $forms[namespace]();
+              }
+        });
+    }
+  } else if (typeof document !== 'undefined') {
+    // In a page, forms cannot be bound: most likely the script is loaded before jQuery
+    Utils.warn('jQuery not found: forms are not bound, only validateData() is available. Load jQuery before this script.');
+  } else {
+    Utils.debug('jQuery not found: running in headless mode (validateData only).');
   }
 
   // exposed
-  window[pluginName] = {
+  const api = {
     customValidators,
     addValidator,
     addMessages,
+    addLocale,
+    setLocale,
+    getLocale,
     getErrorMessage,
+    validateData,
+    transports: remoteTransports,
+    serverErrorAdapters,
     Messages,
+    locales,
+    ValidationError,
     Utils
   };
 
-})(jQuery);
\ No newline at end of file
+  if (typeof window !== 'undefined') window[pluginName] = api;
+
+  return api;
+});
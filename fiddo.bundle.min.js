@@ -26,9 +26,13 @@
  *   - Promise-based validation lifecycle
  *   - Lifecycle event hooks (`form:validated`, `field:error`, etc.)
  *
+ * Headless mode:
+ *   Without jQuery (e.g. under Node, `require('./fiddo.bundle.js')`), only the DOM-free
+ *   core is available: `validateData(schema, values)`, validators, messages and locales.
+ *
  * Limitations:
- *   - Requires jQuery
+ *   - Form binding requires jQuery
  *   - Assumes flat form structure (no nested object schemas)
  *   - Depends on properly named data attributes (e.g. `data-parsley-required="true"`)
  */
-!function(e){"use strict";const t=window.FiddoPluginName||"Fiddo",i=t.toLowerCase(),s={},r={},a=window[`${t}Config`]||{};if(!(e&&e.fn&&e.fn.jquery&&e.expr&&"function"==typeof e.expr.createPseudo&&(e.expr.pseudos||e.expr[":"])))throw new Error("attrStartsWith: requires jQuery with Sizzle selector engine and $.expr.createPseudo support.");if("function"==typeof e.expr.createPseudo){(e.expr.pseudos||e.expr[":"]).attrStartsWith=e.expr.createPseudo((function(e){const t=(e||"").replace(/^["']|["']$/g,"");return function(e){if(!e||1!==e.nodeType||!t)return!1;var i=e.attributes;for(let e=0;e<i.length;e++)if(0===i[e].name.indexOf(t))return!0;return!1}}))}const n={isThenable:e=>e&&("function"==typeof e.then||"function"==typeof e.promise),all:e=>Promise.allSettled(e).then((e=>{const t=e.filter((e=>"rejected"===e.status)).map((e=>e.reason));return t.length?Promise.reject(t):e.map((e=>e.value))})),runSequential:function(e){const t=[],i=[];let s=0;return function r(){if(s>=e.length)return i.length?Promise.reject(i):Promise.resolve(t);let a;try{a=("function"==typeof(n=e[s++])?n:()=>n)()}catch(e){return i.push(e),Promise.reject(i)}var n;return Promise.resolve(a).then((e=>(t.push(e),r())),(e=>(i.push(e),Promise.reject(i))))}()},namespaceEvents(e,t){const s=e.split(/\s+/).filter(Boolean),r=t||`${i}Field`;return s.map((e=>`${e}.${r}`)).join(" ")},_extends(...e){let t=!1;const i=[];for(let s of e)!0===s?t=!0:"object"==typeof s&&null!==s&&i.push(s);const s=i.shift()||{};for(const e of i)for(const i in e){const r=e[i];t&&r&&"object"==typeof r&&!Array.isArray(r)?(s[i]&&"object"==typeof s[i]||(s[i]={}),this._extends(s[i],!0,r)):s[i]=r}return s},cloneValue:e=>Array.isArray(e)?e.slice():e&&"object"==typeof e?{...e}:e,formatMessage(e,t){if(e){if("object"==typeof t){for(let i in t)e=this.formatMessage(e,t[i]);return e}return"string"==typeof e?e.replace(/%s/i,t):""}},getAttr:(e,t,i)=>e.getAttribute(t+i),generateID:e=>(s[e]=(s[e]||0)+1,""+s[e]),getElementId(e){const t=e.tagName.toLowerCase();return e.id||this.parseInputName(e.name)||`${t}${this.generateID(t)}`},getId(e){return e.id||this.parseInputName(e.name)||e.tagName.toLowerCase()},isSelector:e=>e&&"string"==typeof e&&/^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/.test(e),arraysEqual:(e,t)=>Array.isArray(e)&&Array.isArray(t)&&e.length===t.length&&e.every(((e,i)=>e===t[i])),areEquals(e,t){return Array.isArray(e)&&Array.isArray(t)?this.arraysEqual(e,t):e===t},debounceCall(e,t,i,s){i?(window.clearTimeout(e[t]),e[t]=window.setTimeout(s,i)):s()},isElementVisible:e=>(e.is("select.selectized")&&(e=e.siblings(".selectize-control")),!!(e[0].offsetWidth||e[0].offsetHeight||e[0].getClientRects().length)),eventTypeMatches:(e,t)=>e&&e.type&&t.trim().split(/\s+/).includes(e.type),parseFloatRequirement:t=>isNaN(+t)?parseFloat(e(t).val()):+t,serialize:e=>Array.isArray(e)?"["+e.join(",")+"]":e,deserialize(e){if(e=e?.trim(),!e)return"";let t;try{if(/^[\[\{]/.test(e)){if(!/^\[[a-zA-Z_]+\s*,\s*[a-zA-Z_]+\]$/.test(e)){let t=e.replace(/'/g,'"').replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)(\s*:)/g,'$1"$2"$3').replace(/:\s*(?=[,}])/g,':""');return JSON.parse(t)}{const t=e.match(/^\[\s*(.*?)\s*\]$/);if(t){const e=t[1];return e.split(",").map((e=>e.trim())).filter(Boolean)}}}return"true"==e||"false"!=e&&("null"==e?null:isNaN(t=Number(e))?e:t)}catch(t){return e}},parseInputName(e){if("string"!=typeof e||!e.length)return"";if(!e.includes("["))return e.trim();const t=[],i=/([^\[\]]+)|\[(.*?)\]/g;let s;for(;null!==(s=i.exec(e));){const e=void 0!==s[2]?s[2]:s[1];e&&e.trim()&&t.push(e.trim())}return t.length>1&&t.shift(),t.join("_")},flashClass(e,t,i=500){e&&e.length&&(e.addClass(t),setTimeout((()=>e.removeClass(t)),i))},camelize:e=>e.replace(/-+(.)?/g,((e,t)=>t?t.toUpperCase():"")),isStringOrArray:e=>"string"==typeof e||Array.isArray(e),toArray:e=>[].concat(e||[]),size:e=>Array.isArray(e)?e.length>0:e&&"object"==typeof e?Object.keys(e).length:"string"==typeof e?e.length:0,empty(e){return!this.size(e?.toString().trim())},_isDiscreteControl:e=>e.is('select, input[type="checkbox"], input[type="radio"], input[type="file"]'),resolveTargetElement(t,i=void 0){return t?("string"==typeof t&&(n.isSelector(t)?t=e(t):"function"==typeof window[t]&&(t=window[t])),"function"==typeof t&&(t=t.call(this,this)),t instanceof HTMLElement&&(t=e(t)),t&&t.jquery&&t.length?t:i):i},isDateStr:e=>e&&"string"==typeof e&&/^(?:\d{1,2}([\/\-.])\d{1,2}\1\d{4}|\d{4}([\/\-.])\d{1,2}\2\d{1,2})$/.test(e),parseDateWithFormat(e,t){if("string"!=typeof e)return null;if("string"==typeof t&&t.trim()||(t="MM/DD/YYYY"),t.length!==e.length)return null;const i=t.match(/[^A-Za-z]/);if(!i)return null;const s=i[0],r=t.split(s),a=e.split(s);if(r.length!==a.length)return null;const n={day:null,month:null,year:null},l={D:"day",DD:"day",M:"month",MM:"month",YY:"year",YYYY:"year"};for(let e=0;e<r.length;e++){const t=r[e],i=a[e];if("MMMM"===t){const e=getMonthIndex(i);if(-1===e)return null;n.month=e+1;continue}const s=l[t];if(!s)return null;let o=parseInt(i,10);"YY"===t&&(o=2e3+o),n[s]=o}const{day:o,month:d,year:u}=n;if(!o||!d||!u)return null;const h=new Date(u,d-1,o);return h.getFullYear()===u&&h.getMonth()===d-1&&h.getDate()===o?h:null},warn(...e){"undefined"!=typeof window&&window.console&&"function"==typeof window.console.warn&&window.console.warn(`[${t}]`,...e)},debug(...e){!0===a?.debug&&"undefined"!=typeof window&&window.console&&"function"==typeof window.console.debug&&window.console.debug(`[${t}]`,...e)},error(...e){"undefined"!=typeof window&&window.console&&"function"==typeof window.console.error&&window.console.error(`[${t}]`,...e)}},l=n._extends(!0,{defaultMessage:"This value seems to be invalid.",type:{email:"This value should be a valid email address.",url:"This value should be a valid url.",number:"This value should be a valid number.",integer:"This value should be a valid integer.",digits:"This value should be digits.",alphanum:"This value should be alphanumeric.",color:"Please select a valid color.",date:"Please enter a valid date.",datetime:"Please enter a valid date and time.","datetime-local":"Please enter a valid local date and time.",file:"Please upload a valid file.",image:"Please upload a valid image.",month:"Please enter a valid month.",password:"Please enter a valid password.",range:"Please select a valid range.",tel:"Please enter a valid telephone number.",time:"Please enter a valid time.",week:"Please enter a valid week."},notblank:"This value should not be blank.",required:"This value is required.",minrequired:"At least %s input(s) are required.",pattern:"This value seems to be invalid.",min:"This value should be greater than or equal to %s.",max:"This value should be lower than or equal to %s.",range:"This value should be between %s and %s.",minlength:"This value is too short. It should have %s characters or more.",maxlength:"This value is too long. It should have %s characters or fewer.",length:"This value length is invalid. It should be between %s and %s characters long.",mincheck:"You must select at least %s choices.",maxcheck:"You must select %s choices or fewer.",check:"You must select between %s and %s choices.",equalto:"This value should be the same.",notequalto:"This value should be different.",gt:"This value should be greater than %s.",gte:"This value should be greater than or equal to %s.",lt:"This value should be less than %s.",lte:"This value should be less than or equal to %s.",euvatin:"It's not a valid VAT Identification Number.",money:"Please enter a valid amount greater than zero",date:"The entered date is invalid (expected format: %s)",datemin:"The date cannot be earlier than %s",datemax:"The date cannot be later than %s",datepast:"The date cannot be in the future",datefuture:"The date cannot be in the past"},a.Messages),o={namespace:`data-${i}-`,inputs:"input, textarea, select",excluded:"input[type=button], input[type=submit], input[type=reset], input[type=hidden], .selectize-input > input, novalidate",validationThreshold:3,focus:"first",focusClass:`${i}-glow`,trigger:!1,triggerAfterFailure:"input",errorClass:`${i}-error`,successClass:`${i}-success`,stopAtFirstError:!0,showMultipleErrors:!1,classHandler:function(e){if(e.$element.is("select.selectized"))return e.$element.siblings(".selectize-control")},errorsWrapper:'<ul class="parsley-errors-list"></ul>',errorTemplate:"<li></li>",successTemplate:"",defaultAjaxMethod:"GET"};class d extends Error{constructor({assert:e,message:t}){super(t),this.name="ValidationError",this.assert=e,this.errorMessage=t}static from(e,t){return new d({assert:e,message:t})}}class u{constructor({name:e,validateFn:t,message:i,group:s,priority:r=0}){this.name=e,"function"==typeof t&&(this.validateFn=t),this.message=i||l[e]||"Validation failed",this.group=s,this.priority=r}_reject(e,t){const i=n.formatMessage(e?.message||e||this.message,t);return Promise.reject(d.from(this.name,i))}validate(e,i,s){const r=this.validateFn;if("function"!=typeof r)throw new Error(`${t} Validator:${this.name} : no validate function defined`);try{const t=Array.isArray(i)?[e,...i,s]:[e,i,s],a=r.apply(s,t);return n.debug(`Validator ${this.name} : validator returns \`${a}\` for value \`${e}\``),n.isThenable(a)?Promise.resolve(a).catch((e=>this._reject(e,i))):a?Promise.resolve():this._reject(s.customErrorMessage||this.message,i)}catch(e){throw console.error(`${t} Error in validator "${this.name}":`,e),e}}}class h extends u{constructor(e,i){const s=F[e];if(super({name:e,message:p(e,void 0,i),priority:"object"==typeof s&&"number"==typeof s.priority?s.priority:0}),"object"==typeof s){const r=n.deserialize(s.requirementType);if(n.isStringOrArray(r)&&!this._validateRequirementType(i,r))throw new Error(`[${t}] StandardValidator "${e}": Expected requirement of type "${n.serialize(r)}", got "${n.serialize(i)}"`);if("function"!=typeof s.validate)throw new Error(`[${t}] StandardValidator "${e}": Undefined validateFn`);this.validateFn=s.validate}else{if("function"!=typeof s)throw new Error(`[${t}] StandardValidator "${e}": Undefined validateFn`);this.validateFn=s}this.requirement=i}_validateRequirementType(e,i){if(!i)return!0;const s=n.toArray(e),r=n.toArray(i);return s.length===r.length&&s.every(((e,i)=>r[i].split("|").map((e=>e.trim())).some((i=>{const s=y[i];if(!s||"function"!=typeof s.test)throw new Error(`[${t}] Unknown requirement type "${i}" in validator.`);return s.test(e)}))))}}class c extends u{constructor({name:e,message:t,group:i,url:s,method:r,dataKey:n,isValidFn:l=null,priority:o=10,preValidateFn:d=null,successMessageFn:u=null,errorMessageFn:h=null}){super({name:e,message:t,group:i,priority:o}),this.url=s,this.method=r||a.defaultAjaxMethod,this.dataKey=("*"==n?this.name:n)||"value",this.validateFn=this.validateFn.bind(this),this.isValidFn=(l||this.defaultIsValidFn).bind(this),this.preValidateFn="function"==typeof d?d.bind(this):null,this.successMessageFn="function"==typeof u?u.bind(this):null,this.errorMessageFn="function"==typeof h?h.bind(this):null}defaultIsValidFn(e,t,i){return i?.status>=200&&i?.status<300}validateFn(i,s,r){this.preValidateFn&&0==this.preValidateFn(i)&&Promise.resolve(!0);const a=this.url||"string"==typeof s&&s||s&&s.url;if(!a)return console.error(`[${t}] RemoteValidator "${this.name}": no URL resolved from spec or requirement`),Promise.resolve(!1);const l=s&&s.extra||{};r.$element.addClass("ajax-loading");const o=r instanceof g?{...(()=>{const e={};return r.fields.forEach(((t,i)=>{e[t._name]=t.getValue()})),e})(),...l}:{[this.dataKey]:i,...l};return new Promise(((s,l)=>{e.ajax({url:a,method:this.method,data:o}).done(((e,r,a)=>{let o=!1;try{o="function"==typeof this.isValidFn&&!!this.isValidFn(e,r,a),n.debug(`Remote validation is ${o}, response:`,e)}catch(e){return console.error(`${t} RemoteValidator isValidFn threw an error:`,e),void l(e)}o?s({successMessage:this.successMessageFn&&this.successMessageFn({data:e,values:i})||e?.successMessage}):l(this.errorMessageFn&&this.errorMessageFn({data:e,values:i})||e?.errorMessage||this.message)})).fail(((e,t,i)=>{l(i||t||"Remote validation failed")})).always((function(){r.$element.removeClass("ajax-loading")}))}))}}function p(e,t,i){const s=("object"==typeof l[e]?l[e]?.[i]:l[e])||l.defaultMessage;return t?n.formatMessage(s,t):s}class m{constructor(e,t,i){this.field=e,this.name=t,this.requirements=i,this._buildValidator(),this.priority=this.validator?.priority??0}_buildValidator(){r[this.name]?(this.validator=r[this.name],this.validator.group&&(this.field.isGroupField=!0)):m.isStandardConstraint(this.name,this.requirements)?this.validator=new h(this.name,this.requirements):n.warn(`Constraint in field \`${this.field.__id__}\` - no validator found for name ${this.name}`)}static isStandardConstraint(e,t){return!!F[e]&&("type"!==e||"string"==typeof t&&Object.prototype.hasOwnProperty.call(y,t))}static isValidConstraint(e,t){return void 0!==r[e]||m.isStandardConstraint(e,t)}validateConstraint(e){if(!this.validator)throw new Error("Validator not found");return n.debug(`Constraint:${this.name} field:${this.field.__id__} validate with value:${e} requirements:${this.requirements}`),this.validator.validate(e,this.requirements,this.field)}}class f{constructor(t,i,s,r){this.element=t,this.$element=e(t),this.form=i,this.options=s,this.constraints={},this._lastValidatedValue=null,this._lastValidationState=null,this._lastShouldValidate=null,this._failedOnce=!1,this.__id__=n.getElementId(this.element),this._name=n.parseInputName(this.element.name)||this.__id__,this._isChoiceInput=/^(checkbox|radio)$/i.test(this.element.type),this._parentGroup=r,this._isValid=!1,this._actualizeConstaints()}_actualizeConstaints(){this._bindConstraints(),this._bindEvents()}_hasParentGroup(){return this._parentGroup&&this._parentGroup instanceof g}_getAttr(){const e={},t=this.element.attributes;for(let i=t.length;i--;){const s=t[i],r=s.name.toLowerCase(),a=s.value.trim();s&&s.specified&&(s.name.startsWith(this.options.namespace)?e[n.camelize(s.name.slice(this.options.namespace.length))]=n.deserialize(s.value):r.startsWith("data-")?e[n.camelize(s.name.slice(5))]=n.deserialize(s.value):m.isStandardConstraint(r,a)&&(e[r]=a))}return e}_bindConstraints(){const e=this._getAttr();this.domOptions={};const t=new Set,i=(e,i)=>{const s=_[e];return!(!s||!i.hasOwnProperty(s.dualAttr)||t.has(s.dualAttr))&&s};for(const[s,r]of Object.entries(e))if(!t.has(s))if(m.isValidConstraint(s,r)){const a=i(s,e);if(a){const i={[s]:r,[a.dualAttr]:e[a.dualAttr]},l=n.deserialize(F[a.dualName].dual).map((e=>i[e]));m.isValidConstraint(a.dualName,l)&&(this.addConstraint(a.dualName,l),t.add(a.dualAttr))}else this.addConstraint(s,r)}else this.domOptions[s]=r}_triggerForElement(){return n._isDiscreteControl(this.$element)?"change":(this._failedOnce?this.options.triggerAfterFailure:this.domOptions.trigger||this.options.trigger)||"input"}_bindEvents(){const e=i+"Field";this.$element.off("."+e);const t=this._triggerForElement();this instanceof g||this.$element.on(n.namespaceEvents(t,e),(e=>{this._validateIfNeeded(e)}))}_validateIfNeeded(e){n.debug(`[${this.__id__}] _validateIfNeeded event type:${e?.type} value:${this.getValue()}`),n.debounceCall(this,"_debounced",this.options.debounce,(t=>this._silentValidate(e)))}_silentValidate(e){const t=this._lastValidationState,i=()=>{const i=t!==this._lastValidationState,s=n.eventTypeMatches(e,"change blur");if(this._hasParentGroup()&&(i||s)){this._parentGroup.fields.some((e=>null===e._lastValidationState&&!e.isChoiceInput))||this._parentGroup.queueValidateFromChild(this,e)}};this.whenValidate().then((()=>{i()})).catch((e=>{if(e instanceof f)i();else if(e instanceof Error)throw e}))}addConstraint(e,t){n.debug(`Field \`${this.__id__}\` : adding constraint:${e} requirements:${t}`);const i=new m(this,e,t),s=this.domOptions[`${e}Message`];if(s?.length)if(s.startsWith("@")){const e=s.slice(1);i.validator.message=l[e]||s}else i.validator.message=s;this.constraints[e]=i}shouldValidate(){const i=this.domOptions.validateIf,s=this.domOptions.notValidateIf,r=i=>{if(void 0===i)return!0;try{if(n.isSelector(i)){const s=e(i);if(!s.length)throw new Error(`[${t}] validate-if selector "${i}" did not match any elements.`);if(s.is(":checkbox"))return s.is(":checked");if(s.is("select")){const e=s.val();return Array.isArray(e)?e.length>0:!!e}return!!s.val()}if("string"==typeof i&&"function"==typeof window[i])return window[i](this);if("string"==typeof i)return Function('"use strict";return ('+i+")")();if("function"==typeof i)return i.call(this)}catch(e){return n.warn("Error evaluating validate-if condition:",e),!1}return!0},a=void 0===i||r(i),l=void 0!==s&&r(s);return a&&!l}_buildValidationsFor(e){const t=Object.values(this.constraints).sort(((e,t)=>(t.priority??0)-(e.priority??0)));n.debug(`Validation order for ${this.__id__}:`,t.map((e=>`${e.name??"(anon)"}@${e.priority??0}`)).join("  →  "));const i=this.options?.stopAtFirstError?t=>()=>t.validateConstraint(e):t=>t.validateConstraint(e);return t.map(i)}_preValidate(){return Promise.resolve()}whenValidate(){const e=this.getValue(),t=t=>(!1===this._lastValidationState&&this._handleUI(!0),t&&this._trigger("success",{field:this}),this._lastValidationState=!0,this._isValid=!0,Promise.resolve(e)),i=this._lastShouldValidate,s=this.shouldValidate();return this._lastShouldValidate=s,i===s&&n.areEquals(e,this._lastValidatedValue)&&null!==this._lastValidationState?this._lastValidationState?Promise.resolve(e):Promise.reject(this):(this.validationResult=[],this._lastValidatedValue=n.cloneValue(e),!this._isChoiceInput&&this.shouldValidate()&&n.size(this.constraints)&&n.isElementVisible(this.$element)?n.empty(e)&&!this._isRequired()?t(!1):Promise.resolve(this._preValidate()).then((t=>{const i=this._buildValidationsFor(e);return this._finalizeValidationResult(e,i)})):t(!1))}_getSuccessValidationMessage(e,t){const i=this.domOptions.successMessage||(t||[]).map((e=>"string"==typeof e?e:e?.successMessage)).find(Boolean)||null;return n.formatMessage(i,e)}_finalizeValidationResult(e,t){return(this.options?.stopAtFirstError?n.runSequential:n.all)(t).then((t=>(this.validationSuccessMessage=this._getSuccessValidationMessage(e,t),this.validationResult=null,this._handleUI(!0),this._trigger("success",[{field:this}]),this._lastValidationState=!0,e))).catch((e=>{if(!(e instanceof Error))return this.validationSuccessMessage=null,this.validationResult=e,this._handleUI(!1),this._trigger("error",[{field:this}]),this._lastValidationState=!1,Promise.reject(this);n.error(e.message)})).finally((()=>{this._trigger("validated",[{field:this,isValid:this._isValid}])}))}getValue(){return/^(checkbox|radio)$/i.test(this.element.type)?this.element.checked:this.element.value}_isRequired(){return this.constraints.required&&!1!==this.constraints.required.requirements}_insertErrorWrapper(){if(!this.$errorsWrapper){this.$errorsWrapper=e(this.options.errorsWrapper).attr("id",`${this.options.namespace}error-list-${this.__id__}`);const t=this._getErrorContainer();t?.length?t.append(this.$errorsWrapper):this._getClassHandler().after(this.$errorsWrapper)}return this.$errorsWrapper}_getErrorWrapper(){return this.$errorsWrapper}_getClassHandler(){return n.resolveTargetElement.call(this,this.domOptions.classHandler||this.options.classHandler,this.$element)}_getErrorContainer(){return n.resolveTargetElement.call(this,this.domOptions.errorsContainer||this.options.errorsContainer)}_handleUI(t){this._isValid=t;const i=this._getClassHandler();i.attr("aria-invalid",!t).toggleClass(this.options.successClass,t).toggleClass(this.options.errorClass,!t).removeAttr("aria-describedby");let s=this._getErrorWrapper();s&&s.empty().removeClass("filled").attr("aria-hidden","true").removeAttr("role aria-live");const r=t&&this.validationSuccessMessage,a=!t&&Array.isArray(this.validationResult)&&this.validationResult.length>0,n=r||a;if(n&&(s=this._insertErrorWrapper(),i.attr("aria-describedby",s.attr("id"))),a){this._failedOnce||(this._failedOnce=!0,this._bindEvents());const t=this.validationResult.sort(((e,t)=>"required"===e.assert?-1:"required"===t.assert?1:0)),i="required"!==t[0].assert&&this.options.showMultipleErrors?t:[t[0]];for(const t of i){const i=e(this.options.errorTemplate).html(t.errorMessage).attr(`data-error-${t.assert}`,"");s.append(i)}}if(r){const t=e(this.options.successTemplate||this.options.errorTemplate).html(this.validationSuccessMessage).attr("data-success","").addClass(`${this.options.namespace}success-message`);s.append(t)}n&&s.addClass("filled").attr({"aria-hidden":"false",role:a?"alert":"status","aria-live":"polite"})}_neutralizeUI(){this.validationResult=[],this.validationSuccessMessage=null,this._lastValidatedValue=null,this._lastValidationState=null,this._lastShouldValidate=null,this._isValid=!1,this.$errorsWrapper&&this.$errorsWrapper.empty().removeClass("filled").attr("aria-hidden","true").removeAttr("role aria-live"),this._getClassHandler().removeClass(this.options.successClass).removeClass(this.options.errorClass).removeAttr("aria-invalid aria-describedby")}reset(){this._failedOnce=!1,this._neutralizeUI(),this._bindEvents()}destroy(){this.$element.off(`.${t}Field`),this.$errorsWrapper&&(this.$errorsWrapper.remove(),this.$errorsWrapper=null),this.constraints={},this._lastValidatedValue=null,this._lastValidationState=null,this._failedOnce=!1,this._isValid=!1}refresh(){this.destroy(),this._actualizeConstaints()}_trigger(e,...t){return this.$element.trigger(`field:${e}`,t)}}class g extends f{fields=[];constructor(e,t,i){super(e,t,i),e.classList.add("group-field"),this._collectGroupFields()}_collectGroupFields(){this.fields=[];let e=null;const t=new Set;let i=!1;this.form._getCandidateElements(this.$element).each(((e,s)=>{n.debug(`FieldGroup : collecting child element \`${n.getElementId(s)}\``);const r=new f(s,this,this.options,this);this.fields.push(r);const a=(s.type||"").toLowerCase();"checkbox"===a||"radio"===a?t.add(a):i=!0})),e=i||1!==t.size?null:t.values().next().value,this.multipleType=e}_containsField(e){return this.fields.some((t=>t.element===e))}_preValidate(){if(!this.fields||0===this.fields.length)return n.debug(`[${this.__id__}] _preValidate: no child fields`),Promise.resolve();if(this.fields.some((e=>!1===e._lastValidationState)))return Promise.reject(this);const e=this.fields.filter((e=>null===e._lastValidationState||!n.areEquals(e.getValue(),e._lastValidatedValue)));if(0===e.length){return this.fields.every((e=>!0===e._lastValidationState))?Promise.resolve():Promise.reject(this)}return(this.options?.stopAtFirstError?n.runSequential:n.all)(this.options?.stopAtFirstError?e.map((e=>()=>e.whenValidate())):e.map((e=>e.whenValidate()))).then((e=>e)).catch((e=>{if(e instanceof Error)throw e;return Promise.reject(this)}))}queueValidateFromChild(e,t){n.debounceCall(this,"_groupDebounced",this.options.debounce||50,(()=>{if(0==this._lastValidationState){if(this.fields.some((e=>!1===e._lastValidationState)))return void this._neutralizeUI()}this.whenValidate().catch((()=>{}))}))}getValue(){switch(this.multipleType){case"checkbox":return this.fields.filter((e=>e.element.checked)).map((e=>e.element.value));case"radio":const e=this.fields.find((e=>e.element.checked));return e?e.element.value:"";default:return this.fields.map((e=>e.getValue()))}}destroy(){this.fields.forEach((e=>e.destroy?.())),super.destroy()}refresh(){this.destroy(),this._collectGroupFields(),this._bindEvents()}}class v{constructor(t,s={}){this.element=t,this.$element=e(t),this.options=s,this.fields=[],this.$element.attr("novalidate","").addClass(i),this.$element[i]=!0,this._bindSubmit(),this._bindFields(),this._trigger("init",{form:this})}_submit(t,i){const s=e.Event("submit",{originalEvent:t,valid_submit:!0,submitter:i});this.$element.trigger(s),n.debug("Form submitted",s)}_bindSubmit(){this.$element.on(`submit.${t}`,(e=>{if(e.valid_submit)return;e.preventDefault(),e.stopImmediatePropagation();const t=e.originalEvent?.submitter||document.activeElement||null;return this.whenValidate().then((i=>{this._trigger("success"),!1!==this._trigger("submit",{event:e},t)&&this._submit(e,t)})).catch((e=>{this._trigger("error"),this.focus(e)})),!1}))}_getCandidateElements(e,t=""){const i=this.options.inputs+(t?","+t:"");return e.find(i).not(this.options.excluded).not(`[${this.options.namespace}excluded=true]`)}_addFieldsFromElements(t){let i=null;t.forEach((t=>{if(n.debug(`Form : collecting form element \`${n.getId(t)}\``),i&&i._containsField(t))return void n.debug(`Form : skipping form element \`${n.getId(t)}\` already in group \`${i.__id__}\``);let s;s=e(t).is("input, textarea, select")?new f(t,this,this.options):i=new g(t,this,this.options),this.fields.push(s)}))}_bindFields(){this.fields=[];const e=this._getCandidateElements(this.$element,`:attrStartsWith(${this.options.namespace})`);this._addFieldsFromElements(e.toArray())}whenValidate(){this._trigger("validate");const e=this.fields.map((e=>e.whenValidate()));return n.all(e).then((e=>(this._trigger("validated"),e))).catch((e=>(this._trigger("error"),Promise.reject(e))))}validate(){return this.whenValidate().then((e=>!0)).catch((e=>!1))}focus(t){if(!t.length)return;const i=t[0];let s=null;if(i instanceof g&&i.fields.length>0){s=(i.fields.find((e=>!0!==e._isValid))||i.fields[0]).element}else s=i.element;"SELECT"===s.tagName&&s.selectize&&s.selectize instanceof Selectize&&(s=s.selectize),s&&"function"==typeof s.focus&&(s.focus(),this.options.focusClass&&n.flashClass(e(s),this.options.focusClass,500))}_trigger(e,...t){return this.$element.trigger(`form:${e}`,t)}reset(){this.fields.forEach((e=>e.reset()))}refresh(){this.fields.map((e=>e.element)),this._getCandidateElements(this.$element,`:attrStartsWith(${this.options.namespace})`).toArray();this.destroy(),this._bindFields(),this._trigger("refreshed",{form:this})}destroy(){this.fields.forEach((e=>e.destroy?.())),this.$element.off(`.${t}`),this.$element.removeData(t),this.fields=[],this._trigger("destroy")}}const y={number:{test:function(e){return!0}},email:/^((([a-zA-Z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+(\.([a-zA-Z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+)*)|((\x22)((((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(([\x01-\x08\x0b\x0c\x0e-\x1f\x7f]|\x21|[\x23-\x5b]|[\x5d-\x7e]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(\\([\x01-\x09\x0b\x0c\x0d-\x7f]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))))*(((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(\x22)))@((([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-zA-Z]|\d|-|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-zA-Z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-zA-Z]|\d|-|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-zA-Z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))$/,date:{test:function(e){const t=new Date(e);return!isNaN(t.getTime())}},tel:{test:function(e){if("*"===(e=e.trim()))return!0;return/^(?:\+41|0041|0)(?:\s?)([2-9]{2})(?:\s?\d{3})(?:\s?\d{2})(?:\s?\d{2})$/.test(e)||/^(?:\+|00)([1-9]\d{0,3})(?:\s?\d){6,14}$/.test(e)}},url:new RegExp("^(?:(?:https?|ftp)://)?(?:\\S+(?::\\S*)?@)?(?:(?:[1-9]\\d?|1\\d\\d|2[01]\\d|22[0-3])(?:\\.(?:1?\\d{1,2}|2[0-4]\\d|25[0-5])){2}(?:\\.(?:[1-9]\\d?|1\\d\\d|2[0-4]\\d|25[0-4]))|(?:(?:[a-zA-Z\\u00a1-\\uffff0-9]-*)*[a-zA-Z\\u00a1-\\uffff0-9]+)(?:\\.(?:[a-zA-Z\\u00a1-\\uffff0-9]-*)*[a-zA-Z\\u00a1-\\uffff0-9]+)*(?:\\.(?:[a-zA-Z\\u00a1-\\uffff]{2,})))(?::\\d{2,5})?(?:/\\S*)?$"),selector:/^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/,regexp:{test:function(e){try{return/^\^.*\$$/.test(e.trim())&&!!new RegExp(e)}catch(e){return!1}}},integer:/^-?\d+$/,digits:/^\d+$/,alphanum:/^\w+$/i};y.range=y.number;const F={required:{validate:e=>!n.empty(e),priority:100},minrequired:{validate:(e,t)=>e.filter((e=>!!e?.trim())).length>=(parseInt(t)||0),requirementType:"integer",priority:50},pattern:{validate:(e,t)=>new RegExp(t).test(e),requirementType:"regexp",priority:70},min:{validate:(e,t)=>parseFloat(e)>=parseFloat(t),requirementType:"number",priority:60},max:{validate:(e,t)=>parseFloat(e)<=parseFloat(t),requirementType:"number",priority:60},range:{validate:(e,t,i)=>parseFloat(e)>=parseFloat(t)&&parseFloat(e)<=parseFloat(i),requirementType:"[number,number]",dual:"[min,max]",priority:61},minlength:{validate:(e,t)=>e.length>=parseInt(t,10),requirementType:"integer",priority:50},maxlength:{validate:(e,t)=>e.length<=parseInt(t,10),requirementType:"integer",priority:50},length:{validate:(e,t,i)=>e.length>=parseInt(t,10)&&e.length<=parseInt(i,10),requirementType:"[integer,integer]",dual:"[minlength,maxlength]",priority:51},equalto:{validate:(e,t)=>parseFloat(e)==n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},notequalto:{validate:(e,t)=>parseFloat(e)!=n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},gt:{validate:(e,t)=>parseFloat(e)>n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},gte:{validate:(e,t)=>parseFloat(e)>=n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},lt:{validate:(e,t)=>parseFloat(e)<n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},lte:{validate:(e,t)=>parseFloat(e)<=n.parseFloatRequirement(t),requirementType:"number|selector",priority:40},mincheck:{validate:(e,t)=>e.length>=parseInt(t,10),requirementType:"integer",priority:30},maxcheck:{validate:(e,t)=>e.length<=parseInt(t,10),requirementType:"integer",priority:30},check:{validate:(e,t,i)=>e.length>=parseInt(t,10)&&e.length<=parseInt(i,10),requirementType:"[integer,integer]",dual:"[mincheck,maxcheck]",priority:31},date:{validate:function(e,t){return!e.trim()||null!==n.parseDateWithFormat(e.trim(),t)},priority:60},type:{validate:(e,i)=>{const s=y[i];if(!s||"function"!=typeof s.test)throw new Error(`[${t}] Unknown requirement type "${i}" in validator.`);return s.test(e)},priority:70}},_=(()=>{const e={};for(const[t,i]of Object.entries(F))if(i.dual){const[s,r]=n.deserialize(i.dual);e[s]={dualAttr:r,dualName:t},e[r]={dualAttr:s,dualName:t}}return e})();e.fn[i]=function(i){const s=[];return this.each((function(){if(!this.tagName||"form"!==this.tagName.toLowerCase())throw new Error(`[${t}] Initialization must be called on a <form> element.`);let r=e(this).data(t);r?!0===i&&r.reset():(r=new v(this,e.extend(!0,{},o,a,i)),e(this).data(t,r)),s.push(r)})),1===s.length?s[0]:s},!1!==a.autoBind&&a.namespace&&e((function(){const t=e(`[${a.namespace}validate]`);t.length&&"function"==typeof e.fn[i]&&t[i]()})),window[t]={customValidators:r,addValidator:function(e,t){if(e=e.trim(),r[e])return void n.warn(`Validator "${e}" already exists and will not be overwritten.`);let i;i=t instanceof u?t:t.remote||t.url?new c({name:e,...t}):new u({name:e,...t}),r[e]=i},addMessages:function(e){n._extends(l,e)},getErrorMessage:p,Messages:l,Utils:n}}(jQuery);
\ No newline at end of file
+!function(e,t){let s="function"==typeof jQuery?jQuery:e.jQuery;if("object"==typeof module&&module.exports){if(!s)try{const e=require("jquery");e&&e.fn&&e.fn.jquery&&(s=e)}catch(e){}module.exports=t(e,s)}else t(e,s)}("undefined"!=typeof window?window:globalThis,(function(e,t){"use strict";const s=e.FiddoPluginName||"Fiddo",i=s.toLowerCase(),r={},n={},a=new Set,o=e[`${s}Config`]||{};if(t&&!(t.fn&&t.fn.jquery&&t.expr&&"function"==typeof t.expr.createPseudo&&(t.expr.pseudos||t.expr[":"])))throw new Error("attrStartsWith: requires jQuery with Sizzle selector engine and $.expr.createPseudo support.");if(t&&"function"==typeof t.expr.createPseudo){(t.expr.pseudos||t.expr[":"]).attrStartsWith=t.expr.createPseudo((function(e){const t=(e||"").replace(/^["']|["']$/g,"");return function(e){if(!e||1!==e.nodeType||!t)return!1;var s=e.attributes;for(let e=0;e<s.length;e++)if(0===s[e].name.indexOf(t))return!0;return!1}}))}const l=/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|m|ss|s|A|a/g,d={YYYY:"(\\d{4})",YY:"(\\d{2})",MMMM:"([\\p{L}\\p{M}]+\\.?)",MMM:"([\\p{L}\\p{M}]+\\.?)",MM:"(\\d{2})",M:"(\\d{1,2})",DD:"(\\d{2})",D:"(\\d{1,2})",HH:"(\\d{2})",H:"(\\d{1,2})",hh:"(\\d{2})",h:"(\\d{1,2})",mm:"(\\d{2})",m:"(\\d{1,2})",ss:"(\\d{2})",s:"(\\d{1,2})",A:"([ap]m)",a:"([ap]m)"},u=["January","February","March","April","May","June","July","August","September","October","November","December"],h={},c=new Set,m={isThenable:e=>e&&("function"==typeof e.then||"function"==typeof e.promise),all:e=>Promise.allSettled(e).then((e=>{const t=e.filter((e=>"rejected"===e.status)).map((e=>e.reason));return t.length?Promise.reject(t):e.map((e=>e.value))})),runSequential:function(e){const t=[],s=[];let i=0;return function r(){if(i>=e.length)return s.length?Promise.reject(s):Promise.resolve(t);let n;try{n=("function"==typeof(a=e[i++])?a:()=>a)()}catch(e){return s.push(e),Promise.reject(s)}var a;return Promise.resolve(n).then((e=>(t.push(e),r())),(e=>(s.push(e),Promise.reject(s))))}()},namespaceEvents(e,t){const s=e.split(/\s+/).filter(Boolean),r=t||`${i}Field`;return s.map((e=>`${e}.${r}`)).join(" ")},_extends(...e){let t=!1;const s=[];for(let i of e)!0===i?t=!0:"object"==typeof i&&null!==i&&s.push(i);const i=s.shift()||{};for(const e of s)for(const s in e){const r=e[s];t&&r&&"object"==typeof r&&!Array.isArray(r)?(i[s]&&"object"==typeof i[s]||(i[s]={}),this._extends(i[s],!0,r)):i[s]=r}return i},cloneValue:e=>Array.isArray(e)?e.slice():e&&"object"==typeof e?{...e}:e,formatMessage(e,t,s){if(e){if(this.isPluralMessage(e)){const i=this.toArray(t).filter((e=>""!==e&&!isNaN(+e))).pop();e=e[this.pluralCategory(i,s)]||e.other}if("object"==typeof t){for(let s in t)e=this.formatMessage(e,t[s]);return e}return"string"==typeof e?e.replace(/%s/i,t):""}},isPluralMessage:e=>!!e&&"object"==typeof e&&"string"==typeof e.other,pluralCategory(e,t){const s=Math.abs(+e);if(isNaN(s))return"other";try{if("undefined"!=typeof Intl&&Intl.PluralRules)return new Intl.PluralRules(t||void 0).select(s)}catch(e){}return 1===s?"one":"other"},getAttr:(e,t,s)=>e.getAttribute(t+s),generateID:e=>(r[e]=(r[e]||0)+1,""+r[e]),getElementId(e){const t=e.tagName.toLowerCase();return e.id||this.parseInputName(e.name)||`${t}${this.generateID(t)}`},getId(e){return e.id||this.parseInputName(e.name)||e.tagName.toLowerCase()},isSelector:e=>e&&"string"==typeof e&&/^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/.test(e),arraysEqual:(e,t)=>Array.isArray(e)&&Array.isArray(t)&&e.length===t.length&&e.every(((e,s)=>e===t[s])),sortByDocumentPosition:e=>e.sort(((e,t)=>e.element===t.element?0:4&e.element.compareDocumentPosition(t.element)?-1:1)),areEquals(e,t){return Array.isArray(e)&&Array.isArray(t)?this.arraysEqual(e,t):e===t},debounceCall(e,t,s,i){s?(clearTimeout(e[t]),e[t]=setTimeout(i,s)):i()},isElementVisible:e=>(e.is("select.selectized")&&(e=e.siblings(".selectize-control")),!!(e[0].offsetWidth||e[0].offsetHeight||e[0].getClientRects().length)),eventTypeMatches:(e,t)=>e&&e.type&&t.trim().split(/\s+/).includes(e.type),parseFloatRequirement(e,s){return c.has("parseFloatRequirement")||(c.add("parseFloatRequirement"),this.warn("Utils.parseFloatRequirement() is deprecated, use Utils.compareValues() or field.resolveReference().")),isNaN(+e)?parseFloat(s?s.resolveReference(e):t(e).val()):+e},isFormData:e=>"function"==typeof FormData&&e instanceof FormData,isNumeric:e=>"number"==typeof e?isFinite(e):"string"==typeof e&&""!==e.trim()&&isFinite(+e),compareValues(e,t,s,i){if(e=null==e?"":String(e),t=null==t?"":String(t),"date"===s){const s=this.parseDateWithFormat(e.trim(),i),r=this.parseDateWithFormat(t.trim(),i);return s&&r?s.getTime()-r.getTime():NaN}return"number"===s?this.isNumeric(e)&&this.isNumeric(t)?parseFloat(e)-parseFloat(t):NaN:e===t?0:e.length&&t.length?e<t?-1:1:NaN},toQueryString(e,t){return null===e||"object"!=typeof e?"":Object.keys(e).map((s=>{const i=e[s],r=t?`${t}[${Array.isArray(e)?"":s}]`:s;return null!==i&&"object"==typeof i?this.toQueryString(i,r):`${encodeURIComponent(r)}=${encodeURIComponent(i??"")}`})).filter(Boolean).join("&")},serialize:e=>Array.isArray(e)?"["+e.join(",")+"]":e,deserialize(e){if(e=e?.trim(),!e)return"";let t;try{if(/^[\[\{]/.test(e)){if(!/^\[[a-zA-Z_]+\s*,\s*[a-zA-Z_]+\]$/.test(e)){let t=e.replace(/'/g,'"').replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)(\s*:)/g,'$1"$2"$3').replace(/:\s*(?=[,}])/g,':""');return JSON.parse(t)}{const t=e.match(/^\[\s*(.*?)\s*\]$/);if(t){const e=t[1];return e.split(",").map((e=>e.trim())).filter(Boolean)}}}return"true"==e||"false"!=e&&("null"==e?null:isNaN(t=Number(e))?e:t)}catch(t){return e}},parseInputName(e){if("string"!=typeof e||!e.length)return"";if(!e.includes("["))return e.trim();const t=[],s=/([^\[\]]+)|\[(.*?)\]/g;let i;for(;null!==(i=s.exec(e));){const e=void 0!==i[2]?i[2]:i[1];e&&e.trim()&&t.push(e.trim())}return t.length>1&&t.shift(),t.join("_")},flashClass(e,t,s=500){e&&e.length&&(e.addClass(t),setTimeout((()=>e.removeClass(t)),s))},camelize:e=>e.replace(/-+(.)?/g,((e,t)=>t?t.toUpperCase():"")),isStringOrArray:e=>"string"==typeof e||Array.isArray(e),toArray:e=>[].concat(e||[]),size:e=>Array.isArray(e)?e.length>0:e&&"object"==typeof e?Object.keys(e).length:"string"==typeof e?e.length:0,empty(e){return!this.size(e?.toString().trim())},_isDiscreteControl:e=>e.is('select, input[type="checkbox"], input[type="radio"], input[type="file"]'),resolveTargetElement(e,s=void 0){return e?("string"==typeof e&&(m.isSelector(e)?e=t(e):"function"==typeof window[e]&&(e=window[e])),"function"==typeof e&&(e=e.call(this,this)),e instanceof HTMLElement&&(e=t(e)),e&&e.jquery&&e.length?e:s):s},isDateStr:e=>e&&"string"==typeof e&&/^(?:\d{1,2}([\/\-.])\d{1,2}\1\d{4}|\d{4}([\/\-.])\d{1,2}\2\d{1,2})$/.test(e),parseDateWithFormat(e,t,s){if("string"!=typeof e||!e.trim())return null;e=e.trim();const i="string"!=typeof t||!t.trim();i&&(t="MM/DD/YYYY");const r=[],n=t.trim().replace(new RegExp(`${l.source}|\\s+|.`,"g"),(e=>d[e]?(r.push(e),d[e]):/^\s+$/.test(e)?"\\s+":e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"))),a=new RegExp(`^${n}$`,"iu").exec(e);if(!a){const s=i||/^YYYY-MM-DD/.test(t)?"YYYY-MM-DD":this.hasDateTokens(t)?null:"",r=null!==s&&(s?/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/:/^()()()(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/).exec(e);return r?this._buildDate({year:r[1]?+r[1]:1970,month:r[2]?+r[2]:1,day:r[3]?+r[3]:1,hour:+(r[4]||0),minute:+(r[5]||0),second:+(r[6]||0)}):null}const o={year:1970,month:1,day:1,hour:0,minute:0,second:0};let u=null;for(let e=0;e<r.length;e++){const t=r[e],i=a[e+1];switch(t){case"MMMM":case"MMM":{const e=this.getMonthIndex(i,s);if(-1===e)return null;o.month=e+1;break}case"YY":o.year=2e3+parseInt(i,10);break;case"YYYY":o.year=parseInt(i,10);break;case"MM":case"M":o.month=parseInt(i,10);break;case"DD":case"D":o.day=parseInt(i,10);break;case"HH":case"H":case"hh":case"h":o.hour=parseInt(i,10);break;case"mm":case"m":o.minute=parseInt(i,10);break;case"ss":case"s":o.second=parseInt(i,10);break;case"A":case"a":u=i.toLowerCase()}}if(u||r.some((e=>/^h/.test(e)))){if(o.hour<1||o.hour>12)return null;o.hour=o.hour%12+("pm"===u?12:0)}return this._buildDate(o)},_buildDate({year:e,month:t,day:s,hour:i,minute:r,second:n}){if(i>23||r>59||n>59)return null;const a=new Date(0);return a.setFullYear(e,t-1,s),a.setHours(i,r,n,0),a.getFullYear()===e&&a.getMonth()===t-1&&a.getDate()===s?a:null},formatDate(e,t,s){if(!(e instanceof Date)||isNaN(e))return"";"string"==typeof t&&t.trim()||(t="MM/DD/YYYY");const i=e=>String(e).padStart(2,"0"),r=e.getHours()%12||12,n={YYYY:String(e.getFullYear()).padStart(4,"0"),YY:i(e.getFullYear()%100),MMMM:this.monthNames(s,"long")[e.getMonth()],MMM:this.monthNames(s,"short")[e.getMonth()],MM:i(e.getMonth()+1),M:e.getMonth()+1,DD:i(e.getDate()),D:e.getDate(),HH:i(e.getHours()),H:e.getHours(),hh:i(r),h:r,mm:i(e.getMinutes()),m:e.getMinutes(),ss:i(e.getSeconds()),s:e.getSeconds(),A:e.getHours()<12?"AM":"PM",a:e.getHours()<12?"am":"pm"};return t.replace(l,(e=>n[e]))},hasDateTokens:e=>/Y|M|D/.test(e||"MM/DD/YYYY"),hasTimeTokens:e=>/H|h|m|s/.test(e||""),monthNames(e,t="long"){const s=`${e||""}|${t}`;if(h[s])return h[s];let i="short"===t?u.map((e=>e.slice(0,3))):u;if("undefined"!=typeof Intl&&Intl.DateTimeFormat)try{const s=new Intl.DateTimeFormat(e||void 0,{month:t,timeZone:"UTC"});i=i.map(((e,t)=>s.format(new Date(Date.UTC(2e3,t,1)))))}catch(e){}return h[s]=i},getMonthIndex(e,t){const s=e=>String(e).normalize("NFD").replace(/[\u0300-\u036f.]/g,"").trim().toLowerCase(),i=s(e);if(!i)return-1;for(const e of[t,"en"]){for(const t of["long","short"]){const r=this.monthNames(e,t).findIndex((e=>s(e)===i));if(-1!==r)return r}const t=this._genitiveMonthNames(e).findIndex((e=>s(e)===i));if(-1!==t)return t}return-1},_genitiveMonthNames(e){const t=`${e||""}|genitive`;if(h[t])return h[t];let s=[];if("undefined"!=typeof Intl&&Intl.DateTimeFormat?.prototype.formatToParts)try{const t=new Intl.DateTimeFormat(e||void 0,{day:"numeric",month:"long",timeZone:"UTC"});s=u.map(((e,s)=>t.formatToParts(new Date(Date.UTC(2e3,s,1))).find((e=>"month"===e.type))?.value||""))}catch(e){}return h[t]=s},parseRelativeDate(e,t=new Date){const s=/^\s*(today|now)?\s*((?:[+-]\s*\d+\s*[ymwdh]\s*)*)$/i.exec(String(e??""));if(!s||!s[1]&&!s[2].trim())return null;const i=s[2].replace(/\s+/g,"").match(/[+-]\d+[ymwdh]/gi)||[],r=/^now$/i.test(s[1]||"")||i.some((e=>/h$/i.test(e))),n=new Date(t.getTime());r||n.setHours(0,0,0,0);const a=e=>{const t=n.getDate();n.setDate(1),n.setMonth(n.getMonth()+e),n.setDate(Math.min(t,new Date(n.getFullYear(),n.getMonth()+1,0).getDate()))};for(const e of i){const t=parseInt(e.slice(0,-1),10);switch(e.slice(-1).toLowerCase()){case"y":a(12*t);break;case"m":a(t);break;case"w":n.setDate(n.getDate()+7*t);break;case"d":n.setDate(n.getDate()+t);break;case"h":n.setHours(n.getHours()+t)}}return n},warn(...e){"undefined"!=typeof window&&window.console&&"function"==typeof window.console.warn&&window.console.warn(`[${s}]`,...e)},debug(...e){!0===o?.debug&&"undefined"!=typeof window&&window.console&&"function"==typeof window.console.debug&&window.console.debug(`[${s}]`,...e)},error(...e){"undefined"!=typeof window&&window.console&&"function"==typeof window.console.error&&window.console.error(`[${s}]`,...e)}},p=o.locale||"en";let f=p;const g=m._extends(!0,{defaultMessage:"This value seems to be invalid.",type:{email:"This value should be a valid email address.",url:"This value should be a valid url.",number:"This value should be a valid number.",integer:"This value should be a valid integer.",digits:"This value should be digits.",alphanum:"This value should be alphanumeric.",color:"Please select a valid color.",date:"Please enter a valid date.",datetime:"Please enter a valid date and time.","datetime-local":"Please enter a valid local date and time.",file:"Please upload a valid file.",image:"Please upload a valid image.",month:"Please enter a valid month.",password:"Please enter a valid password.",range:"Please select a valid range.",tel:"Please enter a valid telephone number.",time:"Please enter a valid time.",week:"Please enter a valid week."},notblank:"This value should not be blank.",required:"This value is required.",minrequired:"At least %s input(s) are required.",pattern:"This value seems to be invalid.",min:"This value should be greater than or equal to %s.",max:"This value should be lower than or equal to %s.",range:"This value should be between %s and %s.",minlength:"This value is too short. It should have %s characters or more.",maxlength:"This value is too long. It should have %s characters or fewer.",length:"This value length is invalid. It should be between %s and %s characters long.",mincheck:{one:"You must select at least %s choice.",other:"You must select at least %s choices."},maxcheck:{one:"You must select %s choice or fewer.",other:"You must select %s choices or fewer."},check:"You must select between %s and %s choices.",equalto:"This value should be the same.",notequalto:"This value should be different.",gt:"This value should be greater than %s.",gte:"This value should be greater than or equal to %s.",lt:"This value should be less than %s.",lte:"This value should be less than or equal to %s.",euvatin:"It's not a valid VAT Identification Number.",iban:"This value should be a valid IBAN.",creditcard:"This value should be a valid card number.",passwordstrength:"This password is too weak.",maxfilesize:"The file should not be larger than %s.",minfilesize:"The file should not be smaller than %s.",accept:"This file type is not allowed.",mimetype:"This file type is not allowed.",maxfiles:{one:"You can upload %s file at most.",other:"You can upload %s files at most."},mindimensions:"The image should be at least %s pixels.",maxdimensions:"The image should be at most %s pixels.","remote-timeout":"The verification took too long, please try again.",money:"Please enter a valid amount greater than zero",date:"The entered date is invalid (expected format: %s)",datemin:"The date cannot be earlier than %s",datemax:"The date cannot be later than %s",datepast:"The date cannot be in the future",datefuture:"The date cannot be in the past",daterange:"The date should be between %s and %s",timemin:"The time cannot be earlier than %s",timemax:"The time cannot be later than %s"},o.Messages),_={[p]:g};for(const[e,t]of Object.entries(o.locales||{}))_[e]=m._extends(!0,_[e]||{},t);const v={namespace:`data-${i}-`,inputs:"input, textarea, select",excluded:"input[type=button], input[type=submit], input[type=reset], input[type=hidden], .selectize-input > input, novalidate",validationThreshold:3,focus:"first",focusClass:`${i}-glow`,trigger:!1,triggerAfterFailure:"input",errorClass:`${i}-error`,successClass:`${i}-success`,pendingClass:`${i}-pending`,stepActiveClass:`${i}-step-active`,steps:!1,observe:!1,allowUnsafeConditions:!1,ajaxSubmit:!1,ajaxTransport:null,serverErrorAdapter:["errors","jsonapi","list","problem"],stopAtFirstError:!0,showMultipleErrors:!1,classHandler:function(e){if(e.$element.is("select.selectized"))return e.$element.siblings(".selectize-control")},errorsWrapper:'<ul class="parsley-errors-list"></ul>',errorTemplate:"<li></li>",successTemplate:"",defaultAjaxMethod:"GET"};class y extends Error{constructor({assert:e,message:t}){super(t),this.name="ValidationError",this.assert=e,this.errorMessage=t}static from(e,t){return new y({assert:e,message:t})}}class b{constructor({name:e,validateFn:t,message:s,messages:i,group:r,priority:n=0}){this.name=e,"function"==typeof t&&(this.validateFn=t),this.message=s,this.messages=i||{},this.group=r,this.priority=n}getMessage(e,t){if(e=x(e)||f,this.messages[e])return this.messages[e];if(e!==p&&Object.prototype.hasOwnProperty.call(_[e],this.name)){const s=E(this.name,t,e);if(s)return s}return this.message||E(this.name,t,e)||"Validation failed"}getMessageParameters(e,t){return"function"==typeof this.messageParameters?this.messageParameters(e,t):e}_reject(e,t,s,i){const r=e?.message||e||s,n=y.from(this.name,m.formatMessage(r,t,i));return n.localizable=r===s,Promise.reject(n)}validate(e,t,i,r){const n=this.validateFn,a=i?.getLocale?.();if(void 0===r&&(r=this.getMessage(a,t)),"function"!=typeof n)throw new Error(`${s} Validator:${this.name} : no validate function defined`);try{const s=Array.isArray(t)?[e,...t,i]:[e,t,i],o=n.apply(i,s);return m.debug(`Validator ${this.name} : validator returns \`${o}\` for value \`${e}\``),m.isThenable(o)?Promise.resolve(o).catch((e=>this._reject(e,this.getMessageParameters(t,i),r,a))):o?Promise.resolve():this._reject(i.customErrorMessage,this.getMessageParameters(t,i),r,a)}catch(e){throw console.error(`${s} Error in validator "${this.name}":`,e),e}}}class w extends b{constructor(e,t){const i=be[e];if(super({name:e,priority:"object"==typeof i&&"number"==typeof i.priority?i.priority:0}),"object"==typeof i){const r=m.deserialize(i.requirementType);if(m.isStringOrArray(r)&&!this._validateRequirementType(t,r))throw new Error(`[${s}] StandardValidator "${e}": Expected requirement of type "${m.serialize(r)}", got "${m.serialize(t)}"`);if("function"==typeof i.checkRequirement){const r=i.checkRequirement(t);if(r)throw new Error(`[${s}] StandardValidator "${e}": ${r}`)}if("function"==typeof i.messageParameters&&(this.messageParameters=i.messageParameters),"function"!=typeof i.validate)throw new Error(`[${s}] StandardValidator "${e}": Undefined validateFn`);this.validateFn=i.validate}else{if("function"!=typeof i)throw new Error(`[${s}] StandardValidator "${e}": Undefined validateFn`);this.validateFn=i}this.requirement=t}_validateRequirementType(e,t){if(!t)return!0;const i=m.toArray(e),r=m.toArray(t);return i.length===r.length&&i.every(((e,t)=>r[t].split("|").map((e=>e.trim())).some((t=>{const i=k[t];if(!i||"function"!=typeof i.test)throw new Error(`[${s}] Unknown requirement type "${t}" in validator.`);return i.test(e)}))))}}const F={jquery:({url:e,method:s,data:i,signal:r})=>new Promise(((n,a)=>{const o=t.ajax(m.isFormData(i)?{url:e,method:s,data:i,processData:!1,contentType:!1}:{url:e,method:s,data:i});r&&r.addEventListener("abort",(()=>o.abort())),o.done(((e,t,s)=>n({data:e,textStatus:t,xhr:s}))).fail(((e,t,s)=>a(Object.assign(new Error(s||t||"Remote validation failed"),{xhr:e,data:e?.responseJSON}))))})),fetch({url:e,method:t="GET",data:s,signal:i}){const r=/^(GET|HEAD)$/i.test(t),n=m.isFormData(s),a=n?r?new URLSearchParams([...s].filter((([,e])=>"string"==typeof e))).toString():"":"string"==typeof s?s:m.toQueryString(s),o=r&&a?e+(e.includes("?")?"&":"?")+a:e;return fetch(o,{method:t,signal:i,credentials:"same-origin",headers:r||n?{"X-Requested-With":"XMLHttpRequest"}:{"X-Requested-With":"XMLHttpRequest","Content-Type":"application/x-www-form-urlencoded; charset=UTF-8"},body:r?void 0:n?s:a}).then((e=>e.text().then((t=>{let s=t;if(/json/i.test(e.headers.get("content-type")||""))try{s=JSON.parse(t)}catch(e){}if(!e.ok)throw Object.assign(new Error(e.statusText||`HTTP ${e.status}`),{xhr:e,data:s});return{data:s,textStatus:"success",xhr:e}}))))}};function $(e,i){if("function"==typeof(e=e||("function"==typeof t&&t.ajax?"jquery":"fetch")))return e;if("function"!=typeof F[e])throw new Error(`[${s}] ${i}: unknown transport "${e}"`);return F[e]}class S extends b{constructor({name:e,message:t,messages:s,group:i,url:r,method:n,dataKey:a,isValidFn:l=null,priority:d=10,preValidateFn:u=null,successMessageFn:h=null,errorMessageFn:c=null,transport:m,timeout:p,timeoutMessage:f,debounce:g,cache:_}){super({name:e,message:t,messages:s,group:i,priority:d}),this.url=r,this.method=n||o.defaultAjaxMethod,this.dataKey=("*"==a?this.name:a)||"value",this.transport=m||o.remoteTransport,this.timeout=p??o.remoteTimeout??0,this.timeoutMessage=f,this.debounce=g??o.remoteDebounce??0,this.cacheTTL=!0===_?1/0:_&&"object"==typeof _?_.ttl||1/0:+_||0,this._cache=new Map,this.validateFn=this.validateFn.bind(this),this.isValidFn=(l||this.defaultIsValidFn).bind(this),this.preValidateFn="function"==typeof u?u.bind(this):null,this.successMessageFn="function"==typeof h?h.bind(this):null,this.errorMessageFn="function"==typeof c?c.bind(this):null}defaultIsValidFn(e,t,s){return s?.status>=200&&s?.status<300}_getTransport(){return $(this.transport,`RemoteValidator "${this.name}"`)}clearCache(){this._cache.clear()}validateFn(e,t,i){if(this.preValidateFn&&!1===this.preValidateFn(e,i))return this._supersede(i,Promise.resolve()),!0;const r=this.url||"string"==typeof t&&t||t&&t.url;if(!r)return console.error(`[${s}] RemoteValidator "${this.name}": no URL resolved from spec or requirement`),Promise.resolve(!1);const n=t&&t.extra||{},a=i instanceof j?{...(()=>{const e={};return i.fields.forEach(((t,s)=>{e[t._name]=t.getValue()})),e})(),...n}:{[this.dataKey]:e,...n};return this._request(i,{url:r,method:this.method,data:a},e)}_request(e,t,i){const r=this.cacheTTL?JSON.stringify([t.url,t.method,t.data]):null,n=r&&this._cache.get(r);if(n&&n.expires>Date.now()){m.debug(`RemoteValidator ${this.name} : cache hit for`,t.data);const s=n.valid?Promise.resolve(n.result):Promise.reject(n.result);return this._supersede(e,s),s}const a={controller:new AbortController},o=new Promise(((e,t)=>Object.assign(a,{resolve:e,reject:t})));this._supersede(e,o,a);const l=(t,s)=>{a.superseded||(this._settle(e,a),r&&null!==t&&this._cache.set(r,{valid:t,result:s,expires:Date.now()+this.cacheTTL}),t?a.resolve(s):a.reject(s))},d=()=>{if(a.superseded)return;let r;this._setPending(e,!0),this.timeout>0&&(a.timer=setTimeout((()=>{a.timedOut=!0,a.controller.abort()}),this.timeout));try{r=this._getTransport()({...t,signal:a.controller.signal})}catch(e){r=Promise.reject(e)}Promise.resolve(r).then((({data:e,textStatus:t,xhr:r}={})=>{let n=!1;try{n="function"==typeof this.isValidFn&&!!this.isValidFn(e,t,r),m.debug(`Remote validation is ${n}, response:`,e)}catch(e){return console.error(`${s} RemoteValidator isValidFn threw an error:`,e),void l(null,e)}n?l(!0,{successMessage:this.successMessageFn&&this.successMessageFn({data:e,values:i})||e?.successMessage}):l(!1,this.errorMessageFn&&this.errorMessageFn({data:e,values:i})||e?.errorMessage)}),(t=>{l(null,a.timedOut?this.timeoutMessage||A("remote-timeout",void 0,void 0,e.getLocale()):t?.message||t||"Remote validation failed")}))};return this.debounce>0?a.debounceTimer=setTimeout(d,this.debounce):d(),o}_supersede(e,t,s=null){const i=e._remoteRequests||(e._remoteRequests={}),r=i[this.name];r&&!r.done&&(r.superseded=!0,clearTimeout(r.debounceTimer),clearTimeout(r.timer),r.controller.abort(),r.resolve(t),m.debug(`RemoteValidator ${this.name} : superseded pending request of field ${e.__id__}`)),i[this.name]=s,s||this._setPending(e,!1)}_settle(e,t){t.done=!0,clearTimeout(t.timer),this._setPending(e,!1)}_setPending(e,t){const s=e._pendingRemotes||(e._pendingRemotes=new Set),i=s.size>0;t?s.add(this.name):s.delete(this.name);const r=s.size>0;i!==r&&e.$element&&(e._getClassHandler().toggleClass(e.options.pendingClass,r).attr("aria-busy",r),e._trigger("pending",{field:e,validator:this.name,isPending:r}))}}function x(e){if(!e||"string"!=typeof e)return null;if(_[e])return e;const t=e.toLowerCase().split(/[-_]/)[0];return _[t]?t:null}function E(e,t,s){const i=new Set([x(s)||f,p]);for(const s of i){let i=String(e).split(".").reduce(((e,t)=>e?.[t]),_[s]);if(i&&"object"==typeof i&&!m.isPluralMessage(i)&&(i=i[t]),i)return i}}function A(e,t,s,i){const r=E(e,s,i)||E("defaultMessage",void 0,i);return t?m.formatMessage(r,t,x(i)||f):r}function C(){a.forEach((e=>{!1===e.element.isConnected?a.delete(e):e._relocalize()}))}function M(e,t,s=!1){_[e]=m._extends(!0,_[e]||{},t),s?T(e):C()}function T(e){const t=x(e);return t?(f=t,C(),!0):(m.warn(`Locale "${e}" is not registered, use addLocale() first.`),!1)}class D{constructor(e,t,s){this.field=e,this.name=t,this.requirements=s,this._buildValidator(),this.priority=this.validator?.priority??0}_buildValidator(){n[this.name]?(this.validator=n[this.name],this.validator.group&&(this.field.isGroupField=!0)):D.isStandardConstraint(this.name,this.requirements)?this.validator=new w(this.name,this.requirements):m.warn(`Constraint in field \`${this.field.__id__}\` - no validator found for name ${this.name}`)}static isStandardConstraint(e,t){return!!be[e]&&("type"!==e||"string"==typeof t&&Object.prototype.hasOwnProperty.call(k,t))}static isValidConstraint(e,t){return void 0!==n[e]||D.isStandardConstraint(e,t)}static collect(e){const t=[],s={},i=new Set,r=t=>{const s=we[t];return!(!s||!e.hasOwnProperty(s.dualAttr)||i.has(s.dualAttr))&&s};for(const[n,a]of Object.entries(e))if(!i.has(n))if(D.isValidConstraint(n,a)){const s=r(n);if(s){const r={[n]:a,[s.dualAttr]:e[s.dualAttr]},o=m.deserialize(be[s.dualName].dual).map((e=>r[e]));if(D.isValidConstraint(s.dualName,o)){t.push([s.dualName,o]),i.add(s.dualAttr);continue}}t.push([n,a])}else s[n]=a;return{constraints:t,options:s}}getMessage(){const e=this.field.getLocale();let t=this.customMessage;return t?.startsWith("@")&&(t=E(t.slice(1),void 0,e)||t),t||this.validator.getMessage(e,this.requirements)}validateConstraint(e){if(!this.validator)throw new Error("Validator not found");return m.debug(`Constraint:${this.name} field:${this.field.__id__} validate with value:${e} requirements:${this.requirements}`),this.validator.validate(e,this.requirements,this.field,this.getMessage())}}class V{constructor(e,s,i,r){this.element=e,this.$element=t(e),this.form=s,this.options=i,this.constraints={},this._lastValidatedValue=null,this._lastValidationState=null,this._lastShouldValidate=null,this._failedOnce=!1,this.__id__=m.getElementId(this.element),this._name=m.parseInputName(this.element.name)||this.__id__,this._isChoiceInput=/^(checkbox|radio)$/i.test(this.element.type),this._parentGroup=r,this._isValid=!1,this._actualizeConstaints()}_actualizeConstaints(){this._bindConstraints(),this._bindEvents()}_hasParentGroup(){return this._parentGroup&&this._parentGroup instanceof j}_getAttr(){const e={},t=this.element.attributes;for(let s=t.length;s--;){const i=t[s],r=i.name.toLowerCase(),n=i.value.trim();i&&i.specified&&(i.name.startsWith(this.options.namespace)?e[m.camelize(i.name.slice(this.options.namespace.length))]=m.deserialize(i.value):r.startsWith("data-")?e[m.camelize(i.name.slice(5))]=m.deserialize(i.value):D.isStandardConstraint(r,n)&&(e[r]=n))}return e}_bindConstraints(){const{constraints:e,options:t}=D.collect(this._getAttr());this.domOptions=t,e.forEach((([e,t])=>this.addConstraint(e,t))),this._bindConditions()}_triggerForElement(){return m._isDiscreteControl(this.$element)?"change":(this._failedOnce?this.options.triggerAfterFailure:this.domOptions.trigger||this.options.trigger)||"input"}_bindEvents(){const e=i+"Field";this.$element.off("."+e);const t=this._triggerForElement();this instanceof j||this.$element.on(m.namespaceEvents(t,e),(e=>{this._validateIfNeeded(e)}))}_validateIfNeeded(e){m.debug(`[${this.__id__}] _validateIfNeeded event type:${e?.type} value:${this.getValue()}`),m.debounceCall(this,"_debounced",this.options.debounce,(t=>this._silentValidate(e)))}_silentValidate(e){const t=this._lastValidationState,s=()=>{const s=t!==this._lastValidationState,i=m.eventTypeMatches(e,"change blur");if(this._hasParentGroup()&&(s||i)){this._parentGroup.fields.some((e=>null===e._lastValidationState&&!e.isChoiceInput))||this._parentGroup.queueValidateFromChild(this,e)}};this.whenValidate().then((()=>{s()})).catch((e=>{if(e instanceof V)s();else if(e instanceof Error)throw e}))}addConstraint(e,t){m.debug(`Field \`${this.__id__}\` : adding constraint:${e} requirements:${t}`);const s=new D(this,e,t),i=this.domOptions[`${e}Message`];"string"==typeof i&&i.length&&(s.customMessage=i),this.constraints[e]=s}getLocale(){return this.form.getLocale()}getLanguage(){return this.form.getLanguage()}resolveReference(e){return t(e).val()}getValueKind(){return z(this.constraints,this.element.type)}getReferencedElements(){const e=new Set;for(const s of Object.values(this.constraints))for(const i of m.toArray(s.requirements))k.selector.test(i)&&t(i).filter("input, select, textarea").each(((t,s)=>{s!==this.element&&e.add(s)}));for(const s of Object.values(this._conditions||{}))for(const i of s.selectors)t(i).find("input, select, textarea").addBack("input, select, textarea").each(((t,s)=>{s!==this.element&&e.add(s)}));return[...e]}getStep(){return void 0===this._step&&(this._step=this._resolveStepContainer()?.name??null),this._step}_resolveStepContainer(){const e=`${this.options.namespace}step`,s=this.$element.closest("form")[0],i=e=>!s||t.contains(s,e),r=this.$element.closest(`[${e}]`)[0];if(r&&i(r))return{name:r.getAttribute(e),element:r};const n=this.$element.parents("fieldset").add(this.$element.filter("fieldset")).filter(((e,t)=>i(t)&&(t.name||t.id)))[0];return n?{name:n.name||n.id,element:n}:null}_getForm(){let e=this.form;for(;e instanceof V;)e=e.form;return e}_isInInactiveStep(){const e=this._getForm();return!(!e?._hasNavigator||!this.getStep()||this.getStep()===e.currentStep)}_getSchemaName(){return this.element.name||this.__id__}toSchema(){const e={};for(const t of Object.values(this.constraints)){const s=t.requirements;e[t.name]=""===s||("string"==typeof s?m.deserialize(s):s),t.customMessage&&(e[`${t.name}Message`]=t.customMessage)}return e}_relocalize(){if(!1!==this._lastValidationState||!Array.isArray(this.validationResult))return;const e=this.getLocale();for(const t of this.validationResult){const s=this.constraints[t.assert];if(!t.localizable||!s?.validator)continue;const i=s.validator.getMessageParameters(s.requirements,this);t.message=t.errorMessage=m.formatMessage(s.getMessage(),i,e)}this._handleUI(!1)}setServerError(e){const t=m.toArray(e).filter(Boolean);if(!t.length)return this.clearServerError();this.validationSuccessMessage=null,this.validationResult=t.map((e=>y.from("server",e))),this._lastValidationState=!1,this._serverError=!0,this._serverErrorValue=m.cloneValue(this.getValue()),this._handleUI(!1),this._trigger("error",[{field:this}])}clearServerError(){this._serverError&&(this._serverError=!1,this._neutralizeUI())}_isServerErrorPending(e){return!(!this._serverError||!m.areEquals(e,this._serverErrorValue))||(this._serverError=!1,!1)}shouldValidate(){const{validateIf:e,notValidateIf:t}=this._conditions||{},s=e=>{try{return e.evaluate(this)}catch(t){return m.warn(`Error evaluating condition "${e.source}" of field \`${this.__id__}\`:`,t),!1}},i=!e||s(e),r=!!t&&s(t);return i&&!r}_bindConditions(){this._conditions={};const e={validateIf:"validate-if",notValidateIf:"not-validate-if"};for(const[t,i]of Object.entries(e)){if(void 0===this.domOptions[t])continue;let e;try{e=U(this.domOptions[t],{allowUnsafe:!0===this.options.allowUnsafeConditions,owner:`${this.options.namespace}${i} of field \`${this.__id__}\``})}catch(r){m.warn(`${r.message.replace(`[${s}] `,"")}; the field is not validated`);const n="notValidateIf"===t;e={source:String(this.domOptions[t]),selectors:[],error:r,evaluate:()=>n},this._trigger("condition-error",{field:this,error:r,attribute:`${this.options.namespace}${i}`})}e&&(this._conditions[t]=e)}}_buildValidationsFor(e){const t=Object.values(this.constraints).sort(((e,t)=>(t.priority??0)-(e.priority??0)));m.debug(`Validation order for ${this.__id__}:`,t.map((e=>`${e.name??"(anon)"}@${e.priority??0}`)).join("  →  "));const s=this.options?.stopAtFirstError?t=>()=>t.validateConstraint(e):t=>t.validateConstraint(e);return t.map(s)}_preValidate(){return Promise.resolve()}whenValidate(){const e=this.getValue(),t=t=>(!1===this._lastValidationState&&this._handleUI(!0),t&&this._trigger("success",{field:this}),this._lastValidationState=!0,this._isValid=!0,Promise.resolve(e)),s=this._lastShouldValidate,i=this.shouldValidate();this._lastShouldValidate=i;const r=this._invalidated;if(this._invalidated=!1,this._isServerErrorPending(e))return Promise.reject(this);const n=this.getFiles(),a=m.arraysEqual(n,this._lastValidatedFiles||[]);return!r&&a&&s===i&&m.areEquals(e,this._lastValidatedValue)&&null!==this._lastValidationState?this._lastValidationState?Promise.resolve(e):Promise.reject(this):(this.validationResult=[],this._lastValidatedValue=m.cloneValue(e),this._lastValidatedFiles=n,i||this._isChoiceInput?this._isChoiceInput||!m.size(this.constraints)||!m.isElementVisible(this.$element)&&!this._isInInactiveStep()||m.empty(e)&&!this._isRequired()?t(!1):Promise.resolve(this._preValidate()).then((t=>{const s=this._buildValidationsFor(e);return this._finalizeValidationResult(e,s)})):(null!==this._lastValidationState&&this._neutralizeUI(),this._lastShouldValidate=!1,this._lastValidatedValue=m.cloneValue(e),this._lastValidationState=!0,this._isValid=!0,Promise.resolve(e)))}_getSuccessValidationMessage(e,t){const s=this.domOptions.successMessage||(t||[]).map((e=>"string"==typeof e?e:e?.successMessage)).find(Boolean)||null;return m.formatMessage(s,e)}_finalizeValidationResult(e,t){return(this.options?.stopAtFirstError?m.runSequential:m.all)(t).then((t=>(this.validationSuccessMessage=this._getSuccessValidationMessage(e,t),this.validationResult=null,this._handleUI(!0),this._trigger("success",[{field:this}]),this._lastValidationState=!0,e))).catch((e=>{if(!(e instanceof Error))return this.validationSuccessMessage=null,this.validationResult=e,this._handleUI(!1),this._trigger("error",[{field:this}]),this._lastValidationState=!1,Promise.reject(this);m.error(e.message)})).finally((()=>{this._trigger("validated",[{field:this,isValid:this._isValid}])}))}getValue(){return/^(checkbox|radio)$/i.test(this.element.type)?this.element.checked:this.element.value}getFiles(){return Array.from(this.element.files||[])}_isRequired(){return this.constraints.required&&!1!==this.constraints.required.requirements}_insertErrorWrapper(){if(!this.$errorsWrapper){this.$errorsWrapper=t(this.options.errorsWrapper).attr("id",`${this.options.namespace}error-list-${this.__id__}`);const e=this._getErrorContainer();e?.length?e.append(this.$errorsWrapper):this._getClassHandler().after(this.$errorsWrapper)}return this.$errorsWrapper}_getErrorWrapper(){return this.$errorsWrapper}_getClassHandler(){return m.resolveTargetElement.call(this,this.domOptions.classHandler||this.options.classHandler,this.$element)}_getErrorContainer(){return m.resolveTargetElement.call(this,this.domOptions.errorsContainer||this.options.errorsContainer)}_handleUI(e){this._isValid=e;const s=this._getClassHandler();s.attr("aria-invalid",!e).toggleClass(this.options.successClass,e).toggleClass(this.options.errorClass,!e).removeAttr("aria-describedby");let i=this._getErrorWrapper();i&&i.empty().removeClass("filled").attr("aria-hidden","true").removeAttr("role aria-live");const r=e&&this.validationSuccessMessage,n=!e&&Array.isArray(this.validationResult)&&this.validationResult.length>0,a=r||n;if(a&&(i=this._insertErrorWrapper(),s.attr("aria-describedby",i.attr("id"))),n){this._failedOnce||(this._failedOnce=!0,this._bindEvents());const e=this.validationResult.sort(((e,t)=>"required"===e.assert?-1:"required"===t.assert?1:0)),s="required"!==e[0].assert&&this.options.showMultipleErrors?e:[e[0]];for(const e of s){const s=t(this.options.errorTemplate).html(e.errorMessage).attr(`data-error-${e.assert}`,"");i.append(s)}}if(r){const e=t(this.options.successTemplate||this.options.errorTemplate).html(this.validationSuccessMessage).attr("data-success","").addClass(`${this.options.namespace}success-message`);i.append(e)}a&&i.addClass("filled").attr({"aria-hidden":"false",role:n?"alert":"status","aria-live":"polite"})}_neutralizeUI(){this.validationResult=[],this.validationSuccessMessage=null,this._lastValidatedValue=null,this._lastValidationState=null,this._lastShouldValidate=null,this._isValid=!1,this.$errorsWrapper&&this.$errorsWrapper.empty().removeClass("filled").attr("aria-hidden","true").removeAttr("role aria-live"),this._getClassHandler().removeClass(this.options.successClass).removeClass(this.options.errorClass).removeAttr("aria-invalid aria-describedby")}reset(){this._failedOnce=!1,this._neutralizeUI(),this._bindEvents()}destroy(){this._abortRemoteRequests(),this.$element.off(`.${s}Field`),this.$errorsWrapper&&(this.$errorsWrapper.remove(),this.$errorsWrapper=null),this.constraints={},this._lastValidatedValue=null,this._lastValidationState=null,this._failedOnce=!1,this._isValid=!1}_abortRemoteRequests(){Object.values(this._remoteRequests||{}).forEach((e=>{e&&!e.done&&(e.superseded=!0,clearTimeout(e.debounceTimer),clearTimeout(e.timer),e.controller.abort())})),this._remoteRequests={},this._pendingRemotes?.size&&(this._pendingRemotes.clear(),this._getClassHandler().removeClass(this.options.pendingClass).removeAttr("aria-busy"))}refresh(){this.destroy(),this._actualizeConstaints()}_rebuildConstraints(){const e={constraints:this.constraints,domOptions:this.domOptions,_conditions:this._conditions,_name:this._name,_isChoiceInput:this._isChoiceInput};this.constraints={},this._name=m.parseInputName(this.element.name)||this.__id__,this._isChoiceInput=/^(checkbox|radio)$/i.test(this.element.type);try{this._bindConstraints()}catch(t){return Object.assign(this,e),m.warn(`Field \`${this.__id__}\` : ${t.message.replace(`[${s}] `,"")}; its previous constraints are kept`),!1}return this._bindEvents(),this._invalidated=!0,null!==this._lastValidationState&&this._validateIfNeeded(),!0}_trigger(e,...t){return this.$element.trigger(`field:${e}`,t)}}class j extends V{fields=[];constructor(e,t,s){super(e,t,s),e.classList.add("group-field"),this._collectGroupFields()}_collectGroupFields(){this.fields=[],this.form._getCandidateElements(this.$element).each(((e,t)=>{m.debug(`FieldGroup : collecting child element \`${m.getElementId(t)}\``);const s=new V(t,this,this.options,this);this.fields.push(s)})),this._detectMultipleType()}_detectMultipleType(){let e=null;const t=new Set;let s=!1;this.fields.forEach((({element:e})=>{const i=(e.type||"").toLowerCase();"checkbox"===i||"radio"===i?t.add(i):s=!0})),e=s||1!==t.size?null:t.values().next().value,this.multipleType=e}_containsField(e){return this.fields.some((t=>t.element===e))}_addChild(e){const t=new V(e,this,this.options,this);return this.fields.push(t),m.sortByDocumentPosition(this.fields),this._detectMultipleType(),this._invalidated=!0,t}_removeChild(e){e._neutralizeUI(),e.destroy(),this.fields=this.fields.filter((t=>t!==e)),this._detectMultipleType(),this._invalidated=!0}_preValidate(){if(!this.fields||0===this.fields.length)return m.debug(`[${this.__id__}] _preValidate: no child fields`),Promise.resolve();if(this.fields.some((e=>!1===e._lastValidationState)))return Promise.reject(this);const e=this.fields.filter((e=>null===e._lastValidationState||!m.areEquals(e.getValue(),e._lastValidatedValue)));if(0===e.length){return this.fields.every((e=>!0===e._lastValidationState))?Promise.resolve():Promise.reject(this)}return(this.options?.stopAtFirstError?m.runSequential:m.all)(this.options?.stopAtFirstError?e.map((e=>()=>e.whenValidate())):e.map((e=>e.whenValidate()))).then((e=>e)).catch((e=>{if(e instanceof Error)throw e;return Promise.reject(this)}))}queueValidateFromChild(e,t){m.debounceCall(this,"_groupDebounced",this.options.debounce||50,(()=>{if(0==this._lastValidationState){if(this.fields.some((e=>!1===e._lastValidationState)))return void this._neutralizeUI()}this.whenValidate().catch((()=>{}))}))}getValue(){switch(this.multipleType){case"checkbox":return this.fields.filter((e=>e.element.checked)).map((e=>e.element.value));case"radio":const e=this.fields.find((e=>e.element.checked));return e?e.element.value:"";default:return this.fields.map((e=>e.getValue()))}}_relocalize(){this.fields.forEach((e=>e._relocalize())),super._relocalize()}_getSchemaName(){const e=new Set(this.fields.map((e=>e.element.name)));return 1!==e.size||e.has("")?this.__id__:e.values().next().value}destroy(){this.fields.forEach((e=>e.destroy?.())),super.destroy()}refresh(){this.destroy(),this._collectGroupFields(),this._bindEvents()}}function I(e,t,s){const i={};return e.forEach((e=>{const r=e&&t(e),n=e&&s(e);r&&n&&(i[r]=i[r]||[]).push(n)})),m.size(i)?i:null}const q={errors:e=>e?.errors&&"object"==typeof e.errors&&!Array.isArray(e.errors)?e.errors:null,jsonapi:e=>Array.isArray(e?.errors)?I(e.errors,(e=>(e.source?.pointer||"").split("/").pop()||e.source?.parameter),(e=>e.detail||e.title)):null,list:e=>Array.isArray(e?.errors)?I(e.errors,(e=>e.field||e.name||e.property),(e=>e.message||e.defaultMessage)):null,problem:e=>Array.isArray(e?.["invalid-params"])?I(e["invalid-params"],(e=>e.name),(e=>e.reason)):null};class P{constructor(e,s={}){this.element=e,this.$element=t(e),this.options=s,this.fields=[],this.$element.attr("novalidate","").addClass(i),this.$element[i]=!0,this._bindSubmit(),this._bindFields(),this.options.observe&&this._observe(),a.add(this),this._trigger("init",{form:this})}getLocale(){return x(this.locale)||x(this.element.getAttribute(`${this.options.namespace}lang`))||x(this.element.getAttribute("lang"))||f}getLanguage(){return this.locale||this.element.getAttribute(`${this.options.namespace}lang`)||this.element.getAttribute("lang")||f}setLocale(e){this.locale=e,this._relocalize()}_relocalize(){this.fields.forEach((e=>e._relocalize()))}toSchema(){const e={},t=s=>{(s.fields||[]).forEach(t);const i=s.toSchema();if(m.size(i)){const t=s._getSchemaName();e[t]={...e[t],...i}}};return this.fields.forEach(t),e}_submit(e,s){const i=t.Event("submit",{originalEvent:e,valid_submit:!0,submitter:s});this.$element.trigger(i),m.debug("Form submitted",i)}_isAjaxSubmit(){const e=this.element.getAttribute(`${this.options.namespace}ajax-submit`);return!0===this.options.ajaxSubmit||null!==e&&"false"!==e}_ajaxSubmit(e,t){if(this._ajaxSubmitting)return m.debug("Form ajax submit already in flight, ignored"),this._ajaxSubmitting;const s={url:t?.getAttribute?.("formaction")||this.element.getAttribute("action")||window.location.href,method:(t?.getAttribute?.("formmethod")||this.element.getAttribute("method")||"GET").toUpperCase(),data:this._ajaxSubmitData(t)};return this.$element.addClass(this.options.pendingClass).attr("aria-busy",!0),m.debug("Form ajax submit",s),this._ajaxSubmitting=Promise.resolve().then((()=>$(this.options.ajaxTransport||o.remoteTransport,"Form ajax submit")(s))).then((({data:e,xhr:t}={})=>(this._trigger("ajax-success",{form:this,data:e,xhr:t}),!0))).catch((e=>{const t=e?.data,s=this._adaptServerErrors(t),i=s?this.setErrors(s):null;return this._trigger("ajax-error",{form:this,error:e,data:t,xhr:e?.xhr,errors:s,unmatched:i}),!1})).finally((()=>{this._ajaxSubmitting=null,this.$element.removeClass(this.options.pendingClass).removeAttr("aria-busy")}))}_ajaxSubmitData(e){const s=e?.name&&t(e).is("button, input[type=submit], input[type=image]")?{[e.name]:e.value}:null,i=(e?.getAttribute?.("formmethod")||this.element.getAttribute("method")||"GET").toUpperCase(),r=(e?.getAttribute?.("formenctype")||this.element.getAttribute("enctype")||"").toLowerCase(),n=this.$element.find("input[type=file]").length>0;if(!n&&"multipart/form-data"!==r||/^(GET|HEAD)$/.test(i))n&&m.warn(`Form ajax submit: file inputs are not sent with ${i}, use a POST multipart form`);else{if("function"==typeof FormData){const t=new FormData(this.element);return s&&t.append(e.name,e.value),t}n&&m.warn("Form ajax submit: FormData is not supported, file inputs are not sent")}let a=this.$element.serialize();return s&&(a+=(a?"&":"")+m.toQueryString(s)),a}_adaptServerErrors(e){if(!e||"object"!=typeof e)return null;for(const t of m.toArray(this.options.serverErrorAdapter)){const s="function"==typeof t?t:q[t];if("function"!=typeof s){m.warn(`Form : unknown server error adapter \`${t}\``);continue}const i=s(e);if(i&&m.size(i))return i}return null}_findFieldByName(e){const t=String(e).replace(/\.([^.\[\]]+)/g,"[$1]"),s=m.parseInputName(t),i=[],r=e=>{i.push(e),(e.fields||[]).forEach(r)};this.fields.forEach(r);const n=i.find((s=>[e,t,`${t}[]`].includes(s.element.name)||s.element.id===e))||i.find((e=>e._name===s));return n?._parentGroup?.multipleType?n._parentGroup:n}setErrors(e){const t={},s=[];for(const[i,r]of Object.entries(e||{})){const e=this._findFieldByName(i);e?(e.setServerError(r),s.push(e)):t[i]=r}return s.length&&this._showFirstFailedStep(s),m.size(t)&&m.debug("Form : server errors without field",t),t}_bindSubmit(){this.$element.on(`submit.${s}`,(e=>{if(e.valid_submit)return;if(e.preventDefault(),e.stopImmediatePropagation(),this._ajaxSubmitting)return!1;const t=e.originalEvent?.submitter||document.activeElement||null;return this.whenValidate().then((s=>{this._trigger("success"),!1!==this._trigger("submit",{event:e},t)&&(this._isAjaxSubmit()?this._ajaxSubmit(e,t):this._submit(e,t))})).catch((e=>{this._trigger("error"),this._showFirstFailedStep(e)})),!1}))}_getCandidateElements(e,t=""){const s=this.options.inputs+(t?","+t:"");return e.find(s).not(this.options.excluded).not(`[${this.options.namespace}excluded=true]`)}_addFieldsFromElements(e){let s=null;e.forEach((e=>{if(m.debug(`Form : collecting form element \`${m.getId(e)}\``),s&&s._containsField(e))return void m.debug(`Form : skipping form element \`${m.getId(e)}\` already in group \`${s.__id__}\``);if(this._isStepContainer(e))return;let i;i=t(e).is("input, textarea, select")?new V(e,this,this.options):s=new j(e,this,this.options),this.fields.push(i)}))}_bindFields(){this.fields=[];const e=this._getCandidateElements(this.$element,`:attrStartsWith(${this.options.namespace})`);this._addFieldsFromElements(e.toArray()),this._bindDependencies(),this._bindSteps()}_isCandidateElement(e){return e!==this.element&&this.element.contains(e)&&t(e).filter(`${this.options.inputs},:attrStartsWith(${this.options.namespace})`).not(this.options.excluded).not(`[${this.options.namespace}excluded=true]`).length>0&&!this._isStepContainer(e)}getField(e){if(e instanceof V)return e;if("string"==typeof e){const t=this._findFieldByName(e);if(t)return t;if(!k.selector.test(e))return null}const s="string"==typeof e?this.$element.find(e)[0]:t(e)[0];if(!s)return null;for(const e of this.fields){if(e.element===s)return e;const t=(e.fields||[]).find((e=>e.element===s));if(t)return t}return null}addField(e){const s=t(e)[0];if(!s)return null;const i=this.getField(s);if(i)return i;if(!this._isCandidateElement(s))return m.warn(`Form : \`${m.getId(s)}\` is not a candidate field of this form`),null;const r=this.fields.find((e=>e instanceof j&&e.element.contains(s)));let n;return r?n=r._addChild(s):t(s).is("input, textarea, select")?n=new V(s,this,this.options):(this.fields.filter((e=>s.contains(e.element))).forEach((e=>this._dropField(e))),n=new j(s,this,this.options)),r||(this.fields.push(n),m.sortByDocumentPosition(this.fields)),m.debug(`Form : field \`${n.__id__}\` added`),this._bindDependencies(),this._bindSteps(),this._trigger("field-added",{form:this,field:n}),n}removeField(e){const t=this.getField(e);return!!t&&(t._hasParentGroup()?t._parentGroup._removeChild(t):this._dropField(t),m.debug(`Form : field \`${t.__id__}\` removed`),this._bindDependencies(),this._bindSteps(),this._trigger("field-removed",{form:this,field:t}),!0)}_dropField(e){e._neutralizeUI(),e.destroy(),this.fields=this.fields.filter((t=>t!==e))}_observe(){"undefined"!=typeof window&&"function"==typeof window.MutationObserver?(this._observer=new window.MutationObserver((e=>this._onMutations(e))),this._observer.observe(this.element,{childList:!0,subtree:!0,attributes:!0,attributeOldValue:!1})):m.warn("Form : MutationObserver is not available, `observe` is ignored")}_unobserve(){this._observer?.disconnect(),this._observer=null}_isTrackedAttribute(e){return e.startsWith("data-")||e.startsWith(this.options.namespace)||"name"===e||"type"===e||void 0!==be[e]}_onMutations(e){const s=new Set,i=new Set;let r=!1;if(e.forEach((e=>{"attributes"!==e.type?(e.addedNodes.forEach((e=>1===e.nodeType&&s.add(e))),r=r||Array.from(e.removedNodes).some((e=>1===e.nodeType))):e.target!==this.element&&this._isTrackedAttribute(e.attributeName)&&i.add(e.target)})),r){const e=e=>!this.element.contains(e.element);this.fields.forEach((t=>{if(e(t))return this.removeField(t);(t.fields||[]).filter(e).forEach((e=>this.removeField(e)))}))}s.forEach((e=>{if(!this.element.contains(e))return;const s=this._getCandidateElements(t(e),`:attrStartsWith(${this.options.namespace})`).toArray();this._isCandidateElement(e)&&s.unshift(e),s.forEach((e=>this.getField(e)||!this._isCandidateElement(e)||this._addObservedField(e)))})),i.forEach((e=>{if(!this.element.contains(e)||s.has(e))return;const t=this.getField(e),i=this._isCandidateElement(e);t&&!i?this.removeField(t):!t&&i?this._addObservedField(e):t&&(m.debug(`Form : attributes of \`${t.__id__}\` changed, rebuilding its constraints`),t._rebuildConstraints(),this._bindDependencies())}))}_addObservedField(e){try{return this.addField(e)}catch(t){return m.warn(`Form : \`${m.getId(e)}\` is not validated: ${t.message.replace(`[${s}] `,"")}`),null}}_isStepContainer(e){if(t(e).is("input, textarea, select"))return!1;const s=`${this.options.namespace}step`;return Array.from(e.attributes).every((e=>e.name===s||!e.name.startsWith(this.options.namespace)))}_bindSteps(){const e=this.currentStep;this.steps=[],this._stepContainers={};const t=e=>{const s=e._resolveStepContainer();e._step=s?.name??null,s&&(this._stepContainers[s.name]||(this.steps.push(s.name),this._stepContainers[s.name]=new Set),this._stepContainers[s.name].add(s.element)),(e.fields||[]).forEach(t)};this.fields.forEach(t),this._hasNavigator=this.steps.length>0&&(!0===this.options.steps||this.$element.find(`[${this.options.namespace}step]`).length>0),this.currentStep=this._hasNavigator?this.steps.includes(e)?e:this.steps[0]:null,this._renderSteps()}_renderSteps(){if(this._hasNavigator)for(const[e,s]of Object.entries(this._stepContainers)){const i=e===this.currentStep;t([...s]).toggleClass(this.options.stepActiveClass,i).prop("hidden",!i)}}_unbindSteps(){if(this._hasNavigator){for(const e of Object.values(this._stepContainers))t([...e]).removeClass(this.options.stepActiveClass).prop("hidden",!1);this._hasNavigator=!1}}goTo(e){const t="number"==typeof e?e:this.steps.indexOf(e),s=this.steps.indexOf(this.currentStep);return!this._hasNavigator||t<0||t>=this.steps.length?(m.warn(`Form : unknown step \`${e}\``),Promise.resolve(!1)):t<=s?(this._setStep(t),Promise.resolve(!0)):this.whenValidate({group:this.steps.slice(s,t)}).then((()=>(this._setStep(t),!0))).catch((e=>(this._showFirstFailedStep(e),!1)))}next(){return this.goTo(this.steps.indexOf(this.currentStep)+1)}prev(){return this.goTo(this.steps.indexOf(this.currentStep)-1)}_setStep(e){const t=this.currentStep,s=this.steps[e];t!==s&&(this.currentStep=s,this._renderSteps(),this._trigger("step-change",{form:this,from:t,to:s}))}_showFirstFailedStep(e){if(this._hasNavigator&&Array.isArray(e)){const t=e.filter((e=>e instanceof V)).map((e=>e.getStep())),s=this.steps.findIndex((e=>t.includes(e)));s>=0&&this._setStep(s)}this.focus(e)}_bindDependencies(){this._unbindDependencies(),this._dependents=new Map;const e=t=>{(t.fields||[]).forEach(e),t.getReferencedElements().forEach((e=>{this._dependents.has(e)||this._dependents.set(e,new Set),this._dependents.get(e).add(t)}))};this.fields.forEach(e),this._onDependencyChange=e=>this._revalidateDependents(e.currentTarget,e),t([...this._dependents.keys()]).on(m.namespaceEvents("input change",`${i}Dependency`),this._onDependencyChange)}_unbindDependencies(){this._dependents&&(t([...this._dependents.keys()]).off(`.${i}Dependency`,this._onDependencyChange),this._dependents=null)}_revalidateDependents(e,t){const s=this._dependents?.get(e);s&&s.forEach((s=>{null!==s._lastValidationState&&(m.debug(`Form : \`${m.getId(e)}\` changed, re-validating dependent \`${s.__id__}\``),s._invalidated=!0,s._validateIfNeeded(t))}))}_getFieldsOfGroup(e){if(null==e)return this.fields;const t=m.toArray(e);return this.fields.filter((e=>t.includes(e.getStep())))}whenValidate({group:e}={}){this._trigger("validate");const t=this._getFieldsOfGroup(e).map((e=>e.whenValidate()));return m.all(t).then((e=>(this._trigger("validated"),e))).catch((e=>(this._trigger("error"),Promise.reject(e))))}validate(e){return this.whenValidate(e).then((e=>!0)).catch((e=>!1))}focus(e){if(this._hasNavigator&&(e=e.filter((e=>!(e instanceof V&&e.getStep()&&e.getStep()!==this.currentStep)))),!e.length)return;const s=e[0];let i=null;if(s instanceof j&&s.fields.length>0){i=(s.fields.find((e=>!0!==e._isValid))||s.fields[0]).element}else i=s.element;"SELECT"===i.tagName&&i.selectize&&i.selectize instanceof Selectize&&(i=i.selectize),i&&"function"==typeof i.focus&&(i.focus(),this.options.focusClass&&m.flashClass(t(i),this.options.focusClass,500))}_trigger(e,...t){return this.$element.trigger(`form:${e}`,t)}reset(){this.fields.forEach((e=>e.reset()))}refresh(){this._destroyFields(),this._bindFields(),this._trigger("refreshed",{form:this})}_destroyFields(){this.fields.forEach((e=>e.destroy?.())),this._unbindDependencies(),this._unbindSteps(),this.fields=[]}destroy(){this._unobserve(),this._destroyFields(),this.$element.off(`.${s}`),this.$element.removeData(s),a.delete(this),this._trigger("destroy")}}class R{constructor(e,t,s,i,r){this.__id__=this._name=e,this.data=s,this.options=i,this.locale=r,this.constraints={};const n={};for(const[e,s]of Object.entries(t||{}))n[e]=s instanceof RegExp?s.source:s;const{constraints:a,options:o}=D.collect(n);this.domOptions=o,a.forEach((([e,t])=>this.addConstraint(e,t)))}addConstraint(e,t){if("required"===e&&!1===t)return;const s=new D(this,e,t),i=this.domOptions[`${e}Message`];"string"==typeof i&&i.length&&(s.customMessage=i),this.constraints[e]=s}getLocale(){return x(this.locale)||f}getLanguage(){return this.locale||f}getValue(){const e=e=>null==e||!1===e?"":e instanceof Date?e.toISOString():String(e),t=this.data[this._name];return Array.isArray(t)?t.map(e):e(t)}getFiles(){return m.toArray(this.data[this._name]).filter((e=>e&&"object"==typeof e&&"size"in e))}resolveReference(e){const t=/^(?:#([\w-]+)|\[name=(["']?)([^\]"']+)\2\])$/.exec(String(e).trim()),s=t?t[1]||t[3]:e;if(Object.prototype.hasOwnProperty.call(this.data,s))return this.data[s]??""}getValueKind(){return z(this.constraints)}_isRequired(){return!!this.constraints.required}validate(){const e=this.getValue();if(!m.size(this.constraints)||m.empty(e)&&!this._isRequired())return Promise.resolve([]);const t=Object.values(this.constraints).sort(((e,t)=>(t.priority??0)-(e.priority??0)));return(this.options.stopAtFirstError?m.runSequential:m.all)(this.options.stopAtFirstError?t.map((t=>()=>t.validateConstraint(e))):t.map((t=>t.validateConstraint(e)))).then((()=>[]),(e=>{const t=e.find((e=>!(e instanceof y)));return t?Promise.reject(t):e}))}}const k={number:{test:function(e){return!0}},email:/^((([a-zA-Z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+(\.([a-zA-Z]|\d|[!#\$%&'\*\+\-\/=\?\^_`{\|}~]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])+)*)|((\x22)((((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(([\x01-\x08\x0b\x0c\x0e-\x1f\x7f]|\x21|[\x23-\x5b]|[\x5d-\x7e]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(\\([\x01-\x09\x0b\x0c\x0d-\x7f]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))))*(((\x20|\x09)*(\x0d\x0a))?(\x20|\x09)+)?(\x22)))@((([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])|(([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-zA-Z]|\d|-|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-zA-Z]|\d|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])))\.)+(([a-zA-Z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])([a-zA-Z]|\d|-|_|~|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF])*([a-zA-Z]|[\u00A0-\uD7FF\uF900-\uFDCF\uFDF0-\uFFEF]))$/,date:{test:function(e){const t=new Date(e);return!isNaN(t.getTime())}},tel:{test:function(e){if("*"===(e=e.trim()))return!0;return/^(?:\+41|0041|0)(?:\s?)([2-9]{2})(?:\s?\d{3})(?:\s?\d{2})(?:\s?\d{2})$/.test(e)||/^(?:\+|00)([1-9]\d{0,3})(?:\s?\d){6,14}$/.test(e)}},url:new RegExp("^(?:(?:https?|ftp)://)?(?:\\S+(?::\\S*)?@)?(?:(?:[1-9]\\d?|1\\d\\d|2[01]\\d|22[0-3])(?:\\.(?:1?\\d{1,2}|2[0-4]\\d|25[0-5])){2}(?:\\.(?:[1-9]\\d?|1\\d\\d|2[0-4]\\d|25[0-4]))|(?:(?:[a-zA-Z\\u00a1-\\uffff0-9]-*)*[a-zA-Z\\u00a1-\\uffff0-9]+)(?:\\.(?:[a-zA-Z\\u00a1-\\uffff0-9]-*)*[a-zA-Z\\u00a1-\\uffff0-9]+)*(?:\\.(?:[a-zA-Z\\u00a1-\\uffff]{2,})))(?::\\d{2,5})?(?:/\\S*)?$"),selector:{test:function(e){if("string"!=typeof e||!e.trim()||m.isNumeric(e))return!1;if("undefined"==typeof document)return/^([#.][\w-]+|\[[^\]]+\]|[a-zA-Z][\w-]*)$/.test(e.trim());try{return document.createDocumentFragment().querySelector(e),!0}catch(e){return!1}}},regexp:{test:function(e){try{return/^\^.*\$$/.test(e.trim())&&!!new RegExp(e)}catch(e){return!1}}},integer:/^-?\d+$/,digits:/^\d+$/,alphanum:/^\w+$/i,file:{test:(e,t)=>se(t).every((e=>e.size>0))},image:{test:(e,t)=>se(t).every(ie)},filesize:{test:e=>null!==re(e)},dimensions:{test:e=>null!==ne(e)}};function z(e,t=""){const s=String(t).toLowerCase(),i=e.type?.requirements;return e.date?{kind:"date",format:"string"==typeof e.date.requirements?e.date.requirements:void 0}:"date"===s?{kind:"date",format:"YYYY-MM-DD"}:"datetime-local"===s?{kind:"date",format:"YYYY-MM-DDTHH:mm"}:"time"===s?{kind:"date",format:"HH:mm"}:"number"===s||"range"===s||["number","integer","digits"].includes(i)?{kind:"number"}:{}}function N(e,s,i,r=!1){let n=!m.isNumeric(s)&&k.selector.test(s),a=n?i?i.resolveReference(s):t(s).val():s;void 0===a&&(n=!1,a=s);const{kind:o,format:l}=i?.getValueKind?i.getValueKind():{},d=o||((!n||r)&&m.isNumeric(e)&&m.isNumeric(a)?"number":"string");return m.compareValues(e,a,d,l)}k.range=k.number;const L=new RegExp([/\s*/.source,"(?:",/(\|\||&&|==|!=|>=|<=|>|<|!|\(|\)|,)/.source,/|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/.source,/|(-?\d+(?:\.\d+)?)(?![\w#.[])/.source,/|((?:[a-zA-Z][\w-]*)?(?:[#.][\w-]+|\[[^\]]*\])+(?::[\w-]+(?:\([^)]*\))?)*)/.source,/|([a-zA-Z_$][\w$-]*(?::[\w-]+(?:\([^)]*\))?)*)/.source,")"].join(""),"y");function O(e){const s=t(e);if(!s.length)return"";if(s.is(":checkbox, :radio")){const e=s.filter(":checked").map(((e,t)=>t.value)).get();return 1===s.length||s.is(":radio")?e[0]??"":e}return s.val()??""}const Y=e=>Array.isArray(e)?e.length>0:!!e;function H(e,t,s){if(Array.isArray(e))return e.some((e=>H(e,t,s)));if(Array.isArray(t))return t.some((t=>H(e,t,s)));if("boolean"==typeof e||"boolean"==typeof t){const i=Y(e)===Y(t);return"=="===s?i:"!="===s&&!i}const i=e=>"number"==typeof e?e:m.isNumeric(e)?parseFloat(e):NaN,r=!isNaN(i(e))&&!isNaN(i(t)),n=r?i(e):String(e??""),a=r?i(t):String(t??"");switch(s){case"==":return n===a;case"!=":return n!==a;case">":return n>a;case">=":return n>=a;case"<":return n<a;case"<=":return n<=a}}function U(e,{allowUnsafe:t=!1,owner:i="condition"}={}){if("function"==typeof e)return{source:e.name||"function",selectors:[],evaluate:t=>!!e.call(t,t)};if("string"!=typeof e)return{source:String(e),selectors:[],evaluate:()=>Y(e)};const r=e.trim();if(!r)return null;const n=new Set,a=(e,t)=>{throw new Error(`[${s}] Invalid condition in ${i}: ${e} at position ${t} in "${r}"`)};let o;try{const e=function(e,t){const s=[];for(L.lastIndex=0;L.lastIndex<e.length;){const i=L.lastIndex;if(!e.slice(i).trim())break;const r=L.exec(e);r||t(`unexpected "${e.slice(i).trim()[0]}"`,e.length-e.slice(i).trimStart().length);const n=r.index+r[0].length-r[0].trimStart().length;if(r[1])s.push({type:"op",value:r[1],pos:n});else if(r[2])s.push({type:"value",value:r[2].slice(1,-1).replace(/\\(.)/g,"$1"),pos:n});else if(r[3])s.push({type:"value",value:parseFloat(r[3]),pos:n});else if(r[4])s.push({type:"selector",value:r[4],pos:n});else{const e=r[5],t=e.toLowerCase();["and","or","not","in"].includes(t)?s.push({type:"op",value:t,pos:n}):["true","false","null"].includes(t)?s.push({type:"value",value:JSON.parse(t),pos:n}):s.push({type:"word",value:e,pos:n})}}return s}(r,a);let t=0;const s=()=>e[t],i=(e,t=s())=>a(e,t?t.pos:r.length),l=(...i)=>{const r=s();return r&&"op"===r.type&&i.includes(r.value)?e[t++]:null},d=e=>l(e)||i(s()?`expected "${e}", got "${s().value}"`:`expected "${e}"`),u=()=>{const s=e[t++];if(!s)return i("unexpected end of condition",void 0);if("value"===s.type)return()=>s.value;if("selector"===s.type)return n.add(s.value.replace(/(?::[\w-]+(?:\([^)]*\))?)+$/,"")||s.value),()=>O(s.value);if("word"===s.type){const e=s.value;return k.selector.test(e)&&n.add(e.replace(/(?::[\w-]+(?:\([^)]*\))?)+$/,"")),t=>"undefined"!=typeof window&&"function"==typeof window[e]?window[e](t):O(e)}if("("===s.value){const e=f();return d(")"),e}return i(`unexpected "${s.value}"`,s)},h=()=>{d("(");const e=[u()];for(;l(",");)e.push(u());return d(")"),e},c=()=>{const i=u(),r=l("==","!=",">",">=","<","<=");if(r){const e=u();return t=>H(i(t),e(t),r.value)}const n="not"===s()?.value&&"in"===e[t+1]?.value&&(t++,!0);if(l("in")){const e=h();return t=>{const s=i(t),r=e.some((e=>H(s,e(t),"==")));return n?!r:r}}return e=>Y(i(e))},m=()=>{return l("!","not")?(e=m(),t=>!e(t)):c();var e},p=()=>{let e=m();for(;l("&&","and");){const t=e,s=m();e=e=>t(e)&&s(e)}return e},f=()=>{let e=p();for(;l("||","or");){const t=e,s=p();e=e=>t(e)||s(e)}return e},g=f();t<e.length&&i(`unexpected "${s().value}"`),o=e=>!!g(e)}catch(e){if(!t)throw e;m.debug(`Condition "${r}" is not in the condition language, evaluating it as JavaScript`);const s=Function('"use strict";return ('+r+")");return{source:r,selectors:[],evaluate:()=>!!s()}}return{source:r,selectors:[...n],evaluate:o}}function W(e){const{kind:t,format:s}=e?.getValueKind?e.getValueKind():{};return"date"===t?s:void 0}function Z(e,t){if(e instanceof Date)return e;const s=String(e??"").trim();if(!s)return null;const i=m.parseRelativeDate(s);if(i)return i;const r=W(t),n=t?.getLanguage?.();let a=s;if(k.selector.test(s)&&t?.resolveReference){const e=t.resolveReference(s);if(void 0!==e&&(a=String(e??"").trim()),!a)return null}return m.parseDateWithFormat(a,r,n)||m.parseDateWithFormat(a,void 0,n)}function G(e,t,s,i){const r=m.parseDateWithFormat(String(e??""),W(s),s?.getLanguage?.());if(!r)return!1;const n=Z(t,s);return!n||i(r.getTime()-n.getTime())}function B(e){return m.hasTimeTokens(W(e))?"now":"today"}function K(e,t){const s=Z(e,t),i=(W(t)||"").replace(/^(YYYY-MM-DD)T/,"$1 ");return s?m.formatDate(s,i,t?.getLanguage?.()):e}function Q(e){const t=W(e),s=m.hasTimeTokens(t)&&/[Hh]{1,2}.*?m{1,2}(?:.*?s{1,2})?(?:\s*[Aa])?/.exec(t);return s?s[0]:"HH:mm"}function J(e,t){const s=t?.getLanguage?.(),i=String(e??"").trim(),r=m.parseDateWithFormat(i,Q(t),s)||m.parseDateWithFormat(i,W(t),s);return r?3600*r.getHours()+60*r.getMinutes()+r.getSeconds():null}function X(e,t){const s=String(e??"").trim();if(!s)return null;const i=/^now/i.test(s)?m.parseRelativeDate(s):null;if(i)return 3600*i.getHours()+60*i.getMinutes()+i.getSeconds();if(k.selector.test(s)&&t?.resolveReference){const e=t.resolveReference(s);if(void 0!==e)return String(e??"").trim()?J(e,t):null}return J(s,t)}function ee(e,t,s,i){const r=J(e,s);if(null===r)return!1;const n=X(t,s);return null===n||i(r-n)}function te(e,t){const s=X(e,t);if(null===s)return e;const i=new Date(1970,0,1,Math.floor(s/3600),Math.floor(s/60)%60,s%60);return m.formatDate(i,Q(t),t?.getLanguage?.())}function se(e){return e?.getFiles?e.getFiles():[]}function ie(e){return/^image\//i.test(e.type||"")||!e.type&&/\.(apng|avif|bmp|gif|ico|jpe?g|png|svg|tiff?|webp)$/i.test(e.name||"")}function re(e){const t=/^\s*(\d+(?:\.\d+)?)\s*([kmgt]?i?b?)?\s*$/i.exec(String(e??""));if(!t)return null;const s=" kmgt".indexOf((t[2]||" ")[0].toLowerCase());return Math.round(parseFloat(t[1])*Math.pow(1024,Math.max(s,0)))}function ne(e){const t=/^\s*(\d*)\s*(?:[x×]\s*(\d*))?\s*$/i.exec(String(e??""));if(!t||!t[1]&&!t[2])return null;const s=t[1]?parseInt(t[1],10):null;return{width:s,height:void 0===t[2]?s:t[2]?parseInt(t[2],10):null}}const ae=new WeakMap;function oe(e){if(void 0!==e.width&&void 0!==e.height)return Promise.resolve({width:e.width,height:e.height});if(ae.has(e))return ae.get(e);const t=new Promise(((t,s)=>{if("undefined"==typeof window||!window.URL?.createObjectURL||"function"!=typeof window.Image)return s(new Error("Images cannot be decoded in this environment"));const i=window.URL.createObjectURL(e),r=new window.Image;r.onload=()=>{window.URL.revokeObjectURL(i),t({width:r.naturalWidth,height:r.naturalHeight})},r.onerror=()=>{window.URL.revokeObjectURL(i),s(new Error(`"${e.name}" is not a readable image`))},r.src=i}));return ae.set(e,t),t}function le(e,t,s){const i=ne(t);return Promise.all(se(e).map(oe)).then((e=>{if(!e.every((e=>(null===i.width||s(e.width,i.width))&&(null===i.height||s(e.height,i.height)))))return Promise.reject()}),(()=>Promise.reject()))}function de(e){const t=e.slice(0,-1);return t.length<=1?t[0]:t}function ue(e){return!0===e||""===e||null==e?null:m.toArray(Array.isArray(e)?e:String(e).split(",")).map((e=>String(e).trim().toLowerCase())).filter(Boolean)}function he(e,t){const s=Object.keys(e).map((e=>e.toLowerCase()));return e=>{const i=(ue(e)||[]).filter((e=>!s.includes(e)));return i.length?`unknown ${t} "${i.join('", "')}"`:null}}function ce(e){let t=0;for(let s=e.length-1,i=!1;s>=0;s--,i=!i){let r=+e[s];i&&(r*=2)>9&&(r-=9),t+=r}return t%10==0}function me(e){const t=e.replace(/[A-Z]/g,(e=>String(e.charCodeAt(0)-55)));let s=0;for(let e=0;e<t.length;e+=7)s=parseInt(String(s)+t.slice(e,e+7),10)%97;return s}const pe={AD:24,AE:23,AL:28,AT:20,AZ:28,BA:20,BE:16,BG:22,BH:22,BR:29,BY:28,CH:21,CR:22,CY:28,CZ:24,DE:22,DK:18,DO:28,EE:20,EG:29,ES:24,FI:18,FO:18,FR:27,GB:22,GE:22,GI:23,GL:18,GR:27,GT:28,HR:21,HU:28,IE:22,IL:23,IQ:23,IS:26,IT:27,JO:30,KW:30,KZ:20,LB:28,LC:32,LI:21,LT:20,LU:20,LV:21,MC:27,MD:24,ME:22,MK:19,MR:27,MT:31,MU:30,NL:18,NO:15,PK:24,PL:28,PS:29,PT:25,QA:29,RO:24,RS:22,SA:24,SC:31,SE:24,SI:19,SK:24,SM:27,ST:25,SV:28,TL:23,TN:24,TR:26,UA:29,VA:22,VG:24,XK:20};const fe={visa:/^4(\d{12}|\d{15}|\d{18})$/,mastercard:/^(5[1-5]\d{2}|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)\d{12}$/,amex:/^3[47]\d{13}$/,discover:/^(6011|65\d{2}|64[4-9]\d)\d{12,15}$/,diners:/^3(0[0-5]|[68]\d)\d{11,16}$/,jcb:/^35(2[89]|[3-8]\d)\d{12,15}$/,unionpay:/^62\d{14,17}$/,maestro:/^(5[06-9]|6\d)\d{10,17}$/};const ge=(e,t)=>t.reduce(((t,s,i)=>t+s*+e[i]),0),_e={AT:{format:/^U\d{8}$/,check:e=>(10-([...e.slice(1,8)].reduce(((e,t,s)=>{const i=s%2?2*+t:+t;return e+Math.floor(i/10)+i%10}),0)+4)%10)%10===+e[8]},BE:{format:/^[01]\d{9}$/,check:e=>97-+e.slice(0,8)%97===+e.slice(8)},BG:{format:/^\d{9,10}$/},CY:{format:/^\d{8}[A-Z]$/},CZ:{format:/^\d{8,10}$/},DE:{format:/^\d{9}$/,check:e=>{let t=10;for(let s=0;s<8;s++){t=2*((+e[s]+t)%10||10)%11}return(11-t)%10===+e[8]}},DK:{format:/^\d{8}$/,check:e=>ge(e,[2,7,6,5,4,3,2,1])%11==0},EE:{format:/^\d{9}$/},EL:{format:/^\d{9}$/,check:e=>ge(e,[256,128,64,32,16,8,4,2])%11%10===+e[8]},ES:{format:/^[A-Z0-9]\d{7}[A-Z0-9]$/},FI:{format:/^\d{8}$/,check:e=>{const t=ge(e,[7,9,10,5,8,4,2])%11;return 1!==t&&(t?11-t:0)===+e[7]}},FR:{format:/^[A-HJ-NP-Z0-9]{2}\d{9}$/,check:e=>!/^\d{2}/.test(e)||(12+ +e.slice(2)%97*3)%97===+e.slice(0,2)},HR:{format:/^\d{11}$/},HU:{format:/^\d{8}$/},IE:{format:/^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/},IT:{format:/^\d{11}$/,check:e=>ce(e)},LT:{format:/^(\d{9}|\d{12})$/},LU:{format:/^\d{8}$/,check:e=>+e.slice(0,6)%89===+e.slice(6)},LV:{format:/^\d{11}$/},MT:{format:/^\d{8}$/},NL:{format:/^\d{9}B\d{2}$/,check:e=>{const t=ge(e,[9,8,7,6,5,4,3,2])%11;return 10!==t&&t===+e[8]||1===me(`NL${e}`)}},PL:{format:/^\d{10}$/,check:e=>ge(e,[6,5,7,2,3,4,5,6,7])%11===+e[9]},PT:{format:/^\d{9}$/,check:e=>{const t=11-ge(e,[9,8,7,6,5,4,3,2])%11;return(t>9?0:t)===+e[8]}},RO:{format:/^\d{2,10}$/},SE:{format:/^\d{10}01$/,check:e=>ce(e.slice(0,10))},SI:{format:/^\d{8}$/},SK:{format:/^\d{10}$/,check:e=>+e%11==0},XI:{format:/^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/}};const ve={1:{minlength:8},2:{minlength:8,lower:1,upper:1,digit:1},3:{minlength:10,lower:1,upper:1,digit:1,symbol:1},4:{minlength:12,lower:1,upper:1,digit:2,symbol:2}},ye={lower:/\p{Ll}/gu,upper:/\p{Lu}/gu,digit:/\p{Nd}/gu,symbol:/[^\p{L}\p{Nd}\s]/gu};const be={required:{validate:e=>!m.empty(e),priority:100},minrequired:{validate:(e,t)=>e.filter((e=>!!e?.trim())).length>=(parseInt(t)||0),requirementType:"integer",priority:50},pattern:{validate:(e,t)=>new RegExp(t).test(e),requirementType:"regexp",priority:70},min:{validate:(e,t)=>parseFloat(e)>=parseFloat(t),requirementType:"number",priority:60},max:{validate:(e,t)=>parseFloat(e)<=parseFloat(t),requirementType:"number",priority:60},range:{validate:(e,t,s)=>parseFloat(e)>=parseFloat(t)&&parseFloat(e)<=parseFloat(s),requirementType:"[number,number]",dual:"[min,max]",priority:61},minlength:{validate:(e,t)=>e.length>=parseInt(t,10),requirementType:"integer",priority:50},maxlength:{validate:(e,t)=>e.length<=parseInt(t,10),requirementType:"integer",priority:50},length:{validate:(e,t,s)=>e.length>=parseInt(t,10)&&e.length<=parseInt(s,10),requirementType:"[integer,integer]",dual:"[minlength,maxlength]",priority:51},equalto:{validate:(e,t,s)=>0===N(e,t,s),requirementType:"number|selector",priority:40},notequalto:{validate:(e,t,s)=>0!==N(e,t,s),requirementType:"number|selector",priority:40},gt:{validate:(e,t,s)=>N(e,t,s,!0)>0,requirementType:"number|selector",priority:40},gte:{validate:(e,t,s)=>N(e,t,s,!0)>=0,requirementType:"number|selector",priority:40},lt:{validate:(e,t,s)=>N(e,t,s,!0)<0,requirementType:"number|selector",priority:40},lte:{validate:(e,t,s)=>N(e,t,s,!0)<=0,requirementType:"number|selector",priority:40},mincheck:{validate:(e,t)=>e.length>=parseInt(t,10),requirementType:"integer",priority:30},maxcheck:{validate:(e,t)=>e.length<=parseInt(t,10),requirementType:"integer",priority:30},check:{validate:(e,t,s)=>e.length>=parseInt(t,10)&&e.length<=parseInt(s,10),requirementType:"[integer,integer]",dual:"[mincheck,maxcheck]",priority:31},date:{validate:function(e,t,s){return!e.trim()||null!==m.parseDateWithFormat(e.trim(),t,s?.getLanguage?.())},priority:60},datemin:{validate:(e,t,s)=>G(e,t,s,(e=>e>=0)),messageParameters:(e,t)=>K(e,t),priority:55},datemax:{validate:(e,t,s)=>G(e,t,s,(e=>e<=0)),messageParameters:(e,t)=>K(e,t),priority:55},daterange:{validate:(e,t,s,i)=>G(e,t,i,(e=>e>=0))&&G(e,s,i,(e=>e<=0)),messageParameters:([e,t],s)=>[K(e,s),K(t,s)],dual:"[datemin,datemax]",priority:56},datepast:{validate:(e,t,s)=>G(e,B(s),s,(e=>e<=0)),priority:55},datefuture:{validate:(e,t,s)=>G(e,B(s),s,(e=>e>=0)),priority:55},timemin:{validate:(e,t,s)=>ee(e,t,s,(e=>e>=0)),messageParameters:(e,t)=>te(e,t),priority:55},timemax:{validate:(e,t,s)=>ee(e,t,s,(e=>e<=0)),messageParameters:(e,t)=>te(e,t),priority:55},maxfilesize:{validate:(e,t,s)=>se(s).every((e=>e.size<=re(t))),requirementType:"filesize",priority:50},minfilesize:{validate:(e,t,s)=>se(s).every((e=>e.size>=re(t))),requirementType:"filesize",priority:50},accept:{validate:(e,...t)=>se(t[t.length-1]).every((e=>function(e,t){const s=m.toArray(e).join(",").split(",").map((e=>e.trim().toLowerCase())).filter(Boolean),i=(t.name||"").toLowerCase(),r=(t.type||"").toLowerCase();return!s.length||s.some((e=>e.startsWith(".")?i.endsWith(e):e.endsWith("/*")?r.startsWith(e.slice(0,-1)):r===e))}(de(t),e))),priority:55},maxfiles:{validate:(e,t,s)=>se(s).length<=parseInt(t,10),requirementType:"integer",priority:55},mindimensions:{validate:(e,t,s)=>le(s,t,((e,t)=>e>=t)),requirementType:"dimensions",priority:10},maxdimensions:{validate:(e,t,s)=>le(s,t,((e,t)=>e<=t)),requirementType:"dimensions",priority:10},iban:{validate:(e,...t)=>function(e,t){const s=String(e).replace(/[\s-]/g,"").toUpperCase(),i=s.slice(0,2),r=ue(t);return!(!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(s)||pe[i]!==s.length||r&&!r.includes(i.toLowerCase())||1!==me(s.slice(4)+s.slice(0,4)))}(e,de(t)),checkRequirement:he(pe,"country"),priority:45},creditcard:{validate:(e,...t)=>function(e,t){const s=String(e).replace(/[\s-]/g,""),i=ue(t);return!(!/^\d{12,19}$/.test(s)||!ce(s))&&(!i||i.some((e=>fe[e]?.test(s))))}(e,de(t)),checkRequirement:he(fe,"brand"),priority:45},euvatin:{validate:(e,...t)=>function(e,t){const s=String(e).replace(/[\s.-]/g,"").toUpperCase(),i=s.slice(0,2),r=s.slice(2),n=_e[i],a=ue(t);return!(!n||!n.format.test(r))&&!(a&&!a.includes(i.toLowerCase()))&&(!n.check||n.check(r))}(e,de(t)),checkRequirement:he(_e,"country"),priority:45},passwordstrength:{validate:(e,t)=>function(e,t){const i="object"==typeof t&&null!==t?t:ve[!0===t||""===t?2:t];if(!i)throw new Error(`[${s}] passwordstrength: unknown level "${t}"`);const r=String(e);return!(i.minlength&&[...r].length<i.minlength)&&(!i.maxrepeat||!new RegExp(`(.)\\1{${i.maxrepeat}}`,"u").test(r))&&Object.entries(ye).every((([e,t])=>!i[e]||(r.match(t)||[]).length>=i[e]))}(e,t),checkRequirement:e=>null!==e&&"object"==typeof e||ve[!0===e||""===e?2:e]?null:`unknown level "${e}" (1-4, or a rules object)`,priority:45},type:{validate:(e,t,i)=>{const r=k[t];if(!r||"function"!=typeof r.test)throw new Error(`[${s}] Unknown requirement type "${t}" in validator.`);return r.test(e,i)},priority:70}};be.mimetype=be.accept;const we=(()=>{const e={};for(const[t,s]of Object.entries(be))if(s.dual){const[i,r]=m.deserialize(s.dual);e[i]={dualAttr:r,dualName:t},e[r]={dualAttr:i,dualName:t}}return e})();t?(t.fn[i]=function(e){const i=[];return this.each((function(){if(!this.tagName||"form"!==this.tagName.toLowerCase())throw new Error(`[${s}] Initialization must be called on a <form> element.`);let r=t(this).data(s);r?!0===e&&r.reset():(r=new P(this,t.extend(!0,{},v,o,e)),t(this).data(s,r)),i.push(r)})),1===i.length?i[0]:i},!1!==o.autoBind&&o.namespace&&t((function(){const e=t(`[${o.namespace}validate]`);e.length&&"function"==typeof t.fn[i]&&e[i]()}))):"undefined"!=typeof document?m.warn("jQuery not found: forms are not bound, only validateData() is available. Load jQuery before this script."):m.debug("jQuery not found: running in headless mode (validateData only).");const Fe={customValidators:n,addValidator:function(e,t){if(e=e.trim(),n[e])return void m.warn(`Validator "${e}" already exists and will not be overwritten.`);let s;s=t instanceof b?t:t.remote||t.url?new S({name:e,...t}):new b({name:e,...t}),n[e]=s},addMessages:function(e,t){M(x(t)||f,e)},addLocale:M,setLocale:T,getLocale:function(){return f},getErrorMessage:A,validateData:function(e,t={},s={}){const i=m._extends({},v,o,s),r=Object.keys(e||{});return Promise.resolve().then((()=>{const n=r.map((r=>new R(r,e[r],t||{},i,s.locale)));return Promise.all(n.map((e=>e.validate())))})).then((e=>{const t={};return e.forEach(((e,s)=>{e.length&&(t[r[s]]=e)})),{isValid:!Object.keys(t).length,errors:t}}))},transports:F,serverErrorAdapters:q,Messages:g,locales:_,ValidationError:y,Utils:m};return"undefined"!=typeof window&&(window[s]=Fe),Fe}));
\ No newline at end of file